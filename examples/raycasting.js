@@ -73,14 +73,14 @@ Example.raycasting = function() {
             startPoint = { x: 400, y: 100 },
             endPoint = mouse.position;
 
-        var collisions = Query.ray(bodies, startPoint, endPoint);
+        var hits = Query.raycast(bodies, startPoint, endPoint);
 
         Render.startViewTransform(render);
 
         context.beginPath();
         context.moveTo(startPoint.x, startPoint.y);
         context.lineTo(endPoint.x, endPoint.y);
-        if (collisions.length > 0) {
+        if (hits.length > 0) {
             context.strokeStyle = '#fff';
         } else {
             context.strokeStyle = '#555';
@@ -88,9 +88,20 @@ Example.raycasting = function() {
         context.lineWidth = 0.5;
         context.stroke();
 
-        for (var i = 0; i < collisions.length; i++) {
-            var collision = collisions[i];
-            context.rect(collision.bodyA.position.x - 4.5, collision.bodyA.position.y - 4.5, 8, 8);
+        context.beginPath();
+        for (var i = 0; i < hits.length; i++) {
+            var hit = hits[i];
+            context.moveTo(hit.point.x, hit.point.y);
+            context.lineTo(hit.point.x + hit.normal.x * 20, hit.point.y + hit.normal.y * 20);
+        }
+        context.strokeStyle = 'rgba(255,165,0,0.7)';
+        context.lineWidth = 1;
+        context.stroke();
+
+        context.beginPath();
+        for (i = 0; i < hits.length; i++) {
+            hit = hits[i];
+            context.rect(hit.point.x - 4.5, hit.point.y - 4.5, 8, 8);
         }
 
         context.fillStyle = 'rgba(255,165,0,0.7)';
@@ -56,8 +56,12 @@ var Axes = require('../geometry/Axes');
             velocity: { x: 0, y: 0 },
             angularVelocity: 0,
             isSensor: false,
+            oneWayNormal: null,
+            surfaceVelocity: 0,
             isStatic: false,
+            isKinematic: false,
             isSleeping: false,
+            isBullet: false,
             motion: 0,
             sleepThreshold: 60,
             density: 0.001,
@@ -148,6 +152,7 @@ var Axes = require('../geometry/Axes');
             vertices: body.vertices,
             parts: body.parts || [body],
             isStatic: body.isStatic,
+            isKinematic: body.isKinematic,
             isSleeping: body.isSleeping,
             parent: body.parent || body
         });
@@ -200,6 +205,9 @@ var Axes = require('../geometry/Axes');
             case 'isStatic':
                 Body.setStatic(body, value);
                 break;
+            case 'isKinematic':
+                Body.setKinematic(body, value);
+                break;
             case 'isSleeping':
                 Sleeping.set(body, value);
                 break;
@@ -288,6 +296,47 @@ var Axes = require('../geometry/Axes');
         }
     };
 
+    /**
+     * Sets the body as kinematic, including isKinematic flag and setting mass and inertia to Infinity.
+     * Kinematic bodies are moved only by their velocity (see `Body.setVelocity` and `Body.setAngularVelocity`),
+     * and are not affected by gravity, forces, air friction or collisions, but they still push other bodies and trigger collision events.
+     * Kinematic bodies do not collide with static or other kinematic bodies. A body should not be both static and kinematic.
+     * @method setKinematic
+     * @param {body} body
+     * @param {bool} isKinematic
+     */
+    Body.setKinematic = function(body, isKinematic) {
+        for (var i = 0; i < body.parts.length; i++) {
+            var part = body.parts[i],
+                wasKinematic = part.isKinematic;
+
+            part.isKinematic = isKinematic;
+
+            if (isKinematic) {
+                part._original = {
+                    restitution: part.restitution,
+                    friction: part.friction,
+                    mass: part.mass,
+                    inertia: part.inertia,
+                    density: part.density,
+                    inverseMass: part.inverseMass,
+                    inverseInertia: part.inverseInertia
+                };
+
+                part.mass = part.inertia = part.density = Infinity;
+                part.inverseMass = part.inverseInertia = 0;
+            } else if (wasKinematic && part._original) {
+                part.mass = part._original.mass;
+                part.inertia = part._original.inertia;
+                part.density = part._original.density;
+                part.inverseMass = part._original.inverseMass;
+                part.inverseInertia = part._original.inverseInertia;
+
+                part._original = null;
+            }
+        }
+    };
+
     /**
      * Sets the mass of the body. Inverse mass, density and inertia are automatically updated to reflect the change.
      * @method setMass
@@ -602,7 +651,7 @@ var Axes = require('../geometry/Axes');
         if (body.parts.length > 1) {
             body.area = totalArea;
 
-            if (!body.isStatic) {
+            if (!body.isStatic && !body.isKinematic) {
                 Body.setMass(body, body.density * totalArea);
                 Body.setInertia(body, totalInertia);
             }
@@ -630,8 +679,8 @@ var Axes = require('../geometry/Axes');
     Body.update = function(body, deltaTime, timeScale, correction) {
         var deltaTimeSquared = Math.pow(deltaTime * timeScale * body.timeScale, 2);
 
-        // from the previous step
-        var frictionAir = 1 - body.frictionAir * timeScale * body.timeScale,
+        // from the previous step, where kinematic bodies keep their velocity and air friction is relative to the base delta
+        var frictionAir = body.isKinematic ? 1 : 1 - body.frictionAir * (deltaTime * timeScale * body.timeScale / Common._baseDelta),
             velocityPrevX = body.position.x - body.positionPrev.x,
             velocityPrevY = body.position.y - body.positionPrev.y;
 
@@ -904,6 +953,27 @@ var Axes = require('../geometry/Axes');
      * @default false
      */
 
+    /**
+     * A flag that indicates whether a body is kinematic. A kinematic body has infinite mass and is moved only by its velocity,
+     * so it is not affected by gravity, forces or collisions, but it still pushes other bodies and triggers collision events (e.g. for moving platforms).
+     * If you need to set a body as kinematic after its creation, you should use `Body.setKinematic` as this requires more than just setting this flag.
+     *
+     * @property isKinematic
+     * @type boolean
+     * @default false
+     */
+
+    /**
+     * A flag that indicates whether a body is a bullet, i.e. a small or fast moving body that should never pass through other bodies.
+     * Bullets are swept along their path of motion on every update using continuous collision detection (see `Matter.CCD`),
+     * which is more expensive than regular collision detection, so it should only be enabled on bodies that require it.
+     * See also `engine.enableCCD`.
+     *
+     * @property isBullet
+     * @type boolean
+     * @default false
+     */
+
     /**
      * A flag that indicates whether a body is a sensor. Sensor triggers collision events, but doesn't react with colliding body physically.
      *
@@ -912,6 +982,28 @@ var Axes = require('../geometry/Axes');
      * @default false
      */
 
+    /**
+     * A `Number` that specifies the speed the surface of the body moves at, clockwise around the body, in units per update.
+     * Friction carries along bodies touching the surface without the body itself moving, for example to make a conveyor belt or treadmill.
+     * For compound bodies, only the parent's value is used.
+     *
+     * @property surfaceVelocity
+     * @type number
+     * @default 0
+     */
+
+    /**
+     * A `Vector` that makes the body one-way when set, such as a platform that can be jumped up through.
+     * Other bodies only collide with the body from the side this normal points to, relative to the body's angle.
+     * A collision that starts from any other side is ignored until the bodies separate (see `pair.isPassingThrough`),
+     * so bodies may pass through the body from below, and then land on it from above.
+     * If `null`, the body collides from all sides. For compound bodies, only the parent's value is used.
+     *
+     * @property oneWayNormal
+     * @type vector
+     * @default null
+     */
+
     /**
      * A flag that indicates whether the body is considered sleeping. A sleeping body acts similar to a static body, except it is only temporary and can be awoken.
      * If you need to set a body as sleeping, you should use `Sleeping.set` as this requires more than just setting this flag.
@@ -1212,6 +1304,16 @@ var Axes = require('../geometry/Axes');
      * @type vector[]
      */
      
+    /**
+     * A `Number` that defines the radius of the body if it is a circle, otherwise `0`.
+     * Collisions involving circles are detected using the true circle rather than the polygon `vertices`.
+     * It is set automatically by `Bodies.circle` and is cleared if the body is scaled non-uniformly.
+     *
+     * @property circleRadius
+     * @type number
+     * @default 0
+     */
+
     /**
      * A `Number` that _measures_ the area of the body's convex hull, calculated at creation by `Body.create`.
      *
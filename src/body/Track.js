@@ -0,0 +1,292 @@
+/**
+* The `Matter.Track` module contains methods for creating and updating tracks.
+* Tracks move a kinematic body (see `Body.setKinematic`) along a path of keyframes, such as a moving platform or an elevator.
+* The body's velocity is set on every update to reach the next position on the track (allowing for the update's correction),
+* so bodies riding on it are carried along correctly.
+*
+* See the included usage [examples](https://github.com/liabru/matter-js/tree/master/examples).
+*
+* @class Track
+*/
+
+var Track = {};
+
+module.exports = Track;
+
+var Body = require('./Body');
+var Events = require('../core/Events');
+var Vector = require('../geometry/Vector');
+var Common = require('../core/Common');
+
+(function() {
+
+    /**
+     * Easing functions that may be used for `track.easing`, which map the time through each segment of a track to the distance through it, both from `0` to `1`.
+     * @property Track.easing
+     * @type object
+     */
+    Track.easing = {
+        linear: function(t) {
+            return t;
+        },
+
+        easeIn: function(t) {
+            return t * t;
+        },
+
+        easeOut: function(t) {
+            return t * (2 - t);
+        },
+
+        easeInOut: function(t) {
+            return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+        }
+    };
+
+    /**
+     * Creates a new track that moves `options.body` along `options.keyframes` on every update of the engine, starting from the current engine time.
+     * The body is made kinematic if it is not already.
+     * A warning is shown if `options.body` is missing or `options.keyframes` is empty, as the track then has nothing to move.
+     * See the properties section below for detailed information on what you can pass via the `options` object.
+     * @method create
+     * @param {engine} engine
+     * @param {} options
+     * @return {track} A new track
+     */
+    Track.create = function(engine, options) {
+        var defaults = {
+            type: 'track',
+            label: 'Track',
+            body: null,
+            keyframes: [],
+            duration: 1000,
+            mode: 'loop',
+            easing: 'linear',
+            timeStart: engine.timing.timestamp
+        };
+
+        var track = Common.extend(defaults, false, options),
+            body = track.body;
+
+        if (!body)
+            Common.warn('Track.create: options.body was undefined, the track will not move anything');
+
+        if (track.keyframes.length === 0)
+            Common.warn('Track.create: options.keyframes was empty, the track will not move its body');
+
+        Track._initKeyframes(track);
+
+        if (body && !body.isKinematic)
+            Body.setKinematic(body, true);
+
+        track._update = function(event) {
+            Track.update(track, event.timestamp, event.correction);
+        };
+
+        Events.on(engine, 'beforeUpdate', track._update);
+
+        return track;
+    };
+
+    /**
+     * Stops the given track from moving its body on updates of the engine, leaving the body with its current velocity.
+     * @method remove
+     * @param {engine} engine
+     * @param {track} track
+     */
+    Track.remove = function(engine, track) {
+        Events.off(engine, 'beforeUpdate', track._update);
+    };
+
+    /**
+     * Sets the velocity of the track's body, so that it reaches the track's position and angle at the given time after the next update.
+     * The velocity is divided by the `correction` the engine scales it by in the update (see `Engine.update`).
+     * Tracks without a body or keyframes are ignored.
+     * @method update
+     * @param {track} track
+     * @param {number} timestamp
+     * @param {number} [correction=1]
+     */
+    Track.update = function(track, timestamp, correction) {
+        var body = track.body;
+
+        if (!body || track.keyframes.length === 0)
+            return;
+
+        var transform = Track.transformAt(track, timestamp);
+
+        correction = correction || 1;
+
+        Body.setVelocity(body, Vector.mult(Vector.sub(transform, body.position), 1 / correction));
+        Body.setAngularVelocity(body, (transform.angle - body.angle) / correction);
+    };
+
+    /**
+     * Returns the position and angle on the given track at the given time, following the track's `mode` and `easing`.
+     * @method transformAt
+     * @param {track} track
+     * @param {number} timestamp
+     * @return {} An object with the `x`, `y` and `angle` of the track
+     */
+    Track.transformAt = function(track, timestamp) {
+        var keyframes = track.keyframes,
+            duration = track.duration,
+            time = Math.max(timestamp - track.timeStart, 0),
+            i;
+
+        if (duration > 0) {
+            switch (track.mode) {
+            case 'once':
+                time = Math.min(time, duration);
+                break;
+            case 'pingPong':
+                time = time % (2 * duration);
+                time = time > duration ? 2 * duration - time : time;
+                break;
+            default:
+                time = time % duration;
+            }
+        } else {
+            time = 0;
+        }
+
+        // find the segment the time is in
+        for (i = 1; i < keyframes.length - 1; i++) {
+            if (keyframes[i].time >= time)
+                break;
+        }
+
+        var from = keyframes[Math.max(i - 1, 0)],
+            to = keyframes[Math.min(i, keyframes.length - 1)],
+            span = to.time - from.time,
+            easing = typeof track.easing === 'function' ? track.easing : Track.easing[track.easing],
+            ratio = span > 0 ? easing(Common.clamp((time - from.time) / span, 0, 1)) : 1;
+
+        return {
+            x: from.x + (to.x - from.x) * ratio,
+            y: from.y + (to.y - from.y) * ratio,
+            angle: from.angle + (to.angle - from.angle) * ratio
+        };
+    };
+
+    /**
+     * Copies the track's keyframes, filling in any missing angles from the previous keyframe (or the body),
+     * and any missing times so that the track is followed at a constant speed over its `duration`.
+     * Otherwise the duration is the time of the last keyframe.
+     * @method _initKeyframes
+     * @private
+     * @param {track} track
+     */
+    Track._initKeyframes = function(track) {
+        var keyframes = [],
+            hasTimes = track.keyframes.length > 0,
+            lengths = [0],
+            length = 0,
+            angle = track.body ? track.body.angle : 0,
+            i;
+
+        for (i = 0; i < track.keyframes.length; i++) {
+            var keyframe = track.keyframes[i];
+
+            angle = typeof keyframe.angle !== 'undefined' ? keyframe.angle : angle;
+            hasTimes = hasTimes && typeof keyframe.time !== 'undefined';
+
+            if (i > 0) {
+                length += Vector.magnitude(Vector.sub(keyframe, track.keyframes[i - 1]));
+                lengths.push(length);
+            }
+
+            keyframes.push({ x: keyframe.x, y: keyframe.y, angle: angle, time: keyframe.time });
+        }
+
+        if (hasTimes) {
+            track.duration = keyframes[keyframes.length - 1].time;
+        } else {
+            for (i = 0; i < keyframes.length; i++) {
+                var distance = length > 0 ? lengths[i] / length : i / Math.max(keyframes.length - 1, 1);
+                keyframes[i].time = distance * track.duration;
+            }
+        }
+
+        track.keyframes = keyframes;
+    };
+
+    /*
+    *
+    *  Properties Documentation
+    *
+    */
+
+    /**
+     * A `String` denoting the type of object.
+     *
+     * @property type
+     * @type string
+     * @default "track"
+     * @readOnly
+     */
+
+    /**
+     * An arbitrary `String` name to help the user identify and manage tracks.
+     *
+     * @property label
+     * @type string
+     * @default "Track"
+     */
+
+    /**
+     * The kinematic `Body` moved by the track.
+     *
+     * @property body
+     * @type body
+     * @default null
+     */
+
+    /**
+     * An array of keyframes that the track moves through, each an object with a world-space `x` and `y` position,
+     * an optional `angle` (defaulting to the previous keyframe's, or the body's angle) and an optional `time` in milliseconds from the start of the track.
+     * Keyframes without times are treated as waypoints, which are timed so the whole path is followed at a constant speed over `track.duration`.
+     * For a smooth `'loop'`, the last keyframe should match the first.
+     *
+     * @property keyframes
+     * @type object[]
+     * @default []
+     */
+
+    /**
+     * A `Number` that is the time in milliseconds to move from the first keyframe to the last.
+     * If every keyframe has a `time`, it is set to the time of the last keyframe.
+     *
+     * @property duration
+     * @type number
+     * @default 1000
+     */
+
+    /**
+     * A `String` that specifies what happens after the last keyframe is reached.
+     * The track may restart from the first keyframe (`'loop'`), move back through the keyframes in reverse (`'pingPong'`),
+     * or stop at the last keyframe (`'once'`).
+     *
+     * @property mode
+     * @type string
+     * @default "loop"
+     */
+
+    /**
+     * The easing applied to each segment between keyframes, either the name of a function in `Track.easing` or a custom function.
+     * For example `'easeInOut'` makes an elevator slow down and stop at each keyframe.
+     *
+     * @property easing
+     * @type string|function
+     * @default "linear"
+     */
+
+    /**
+     * A `Number` that is the engine timestamp the track starts at, which defaults to the engine timestamp when the track was created.
+     * Since the track's position only depends on the engine timestamp, tracks are restored along with `Engine.restore`.
+     *
+     * @property timeStart
+     * @type number
+     */
+
+})();
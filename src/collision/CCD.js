@@ -0,0 +1,315 @@
+/**
+* The `Matter.CCD` module contains methods for continuous collision detection.
+* It prevents fast moving bodies from passing through other bodies between updates (tunnelling),
+* by sweeping them along their path of motion and moving them back to their first point of impact.
+*
+* @class CCD
+*/
+
+var CCD = {};
+
+module.exports = CCD;
+
+var Vector = require('../geometry/Vector');
+var Body = require('../body/Body');
+var Bounds = require('../geometry/Bounds');
+var Detector = require('./Detector');
+var SAT = require('./SAT');
+var Query = require('./Query');
+
+(function() {
+
+    CCD._overlap = 0.1;
+    CCD._fastThreshold = 0.5;
+
+    /**
+     * Sweeps all bullet bodies (and all fast bodies if `sweepFast` is set) from `body.positionPrev` to `body.position`.
+     * Any body that would have passed through another body is moved back to its first point of impact,
+     * with its velocity unchanged, so that it will be detected and resolved as a regular collision.
+     * Only linear motion is swept, rotation during the step is not accounted for.
+     * If an `engine` is given, its broadphase is used to find the bodies near each path (see `Query`),
+     * otherwise every body is swept against all of `bodies`.
+     * @method update
+     * @param {body[]} bodies
+     * @param {boolean} [sweepFast=false]
+     * @param {engine} [engine]
+     */
+    CCD.update = function(bodies, sweepFast, engine) {
+        var broadphase;
+
+        for (var i = 0; i < bodies.length; i++) {
+            var body = bodies[i];
+
+            if (body.isStatic || body.isKinematic || body.isSleeping || body.isSensor)
+                continue;
+
+            if (!body.isBullet && !(sweepFast && CCD._isFast(body)))
+                continue;
+
+            // the broadphase is only updated to the bodies' new positions once there is a body to sweep
+            if (engine && typeof broadphase === 'undefined') {
+                broadphase = Query._broadphase(engine);
+
+                if (broadphase)
+                    broadphase.controller.update(broadphase, bodies, engine, false);
+            }
+
+            CCD._sweepBody(body, bodies, broadphase);
+        }
+    };
+
+    /**
+     * Finds the time of impact between two convex parts, where `partA` moves along `displacement` relative to `partB`.
+     * The parts are tested using their current vertices, with `partA` first translated by `offset` (if given).
+     * Rotation is not accounted for. The returned `time` is the fraction of `displacement` until first contact,
+     * the `normal` is the surface normal of `partB` at the impact (facing `partA`) and `point` is the point of contact.
+     * Returns `null` if the parts do not make contact during the motion, or if they already overlap at the start.
+     * @method timeOfImpact
+     * @param {body} partA
+     * @param {body} partB
+     * @param {vector} displacement
+     * @param {vector} [offset]
+     * @return {object|null} The impact, or `null` if none
+     */
+    CCD.timeOfImpact = function(partA, partB, displacement, offset) {
+        var timeEnter = -Infinity,
+            timeExit = Infinity,
+            projectionA = Vector._temp[0],
+            projectionB = Vector._temp[1],
+            axisEnter = null,
+            velocityEnter = 0,
+            axes = [partA.axes, partB.axes],
+            axis,
+            velocity,
+            shift,
+            enter,
+            exit,
+            i,
+            j;
+
+        offset = offset || { x: 0, y: 0 };
+
+        for (i = 0; i < axes.length; i++) {
+            for (j = 0; j < axes[i].length; j++) {
+                axis = axes[i][j];
+                velocity = Vector.dot(displacement, axis);
+                shift = Vector.dot(offset, axis);
+
+                SAT._projectToAxis(projectionA, partA.vertices, axis);
+                SAT._projectToAxis(projectionB, partB.vertices, axis);
+
+                projectionA.min += shift;
+                projectionA.max += shift;
+
+                if (velocity === 0) {
+                    // no motion along this axis, so it must overlap throughout
+                    if (projectionA.max <= projectionB.min || projectionA.min >= projectionB.max)
+                        return null;
+
+                    continue;
+                }
+
+                if (velocity > 0) {
+                    enter = (projectionB.min - projectionA.max) / velocity;
+                    exit = (projectionB.max - projectionA.min) / velocity;
+                } else {
+                    enter = (projectionB.max - projectionA.min) / velocity;
+                    exit = (projectionB.min - projectionA.max) / velocity;
+                }
+
+                if (enter > timeEnter) {
+                    timeEnter = enter;
+                    axisEnter = axis;
+                    velocityEnter = velocity;
+                }
+
+                if (exit < timeExit)
+                    timeExit = exit;
+
+                if (timeEnter > timeExit || timeEnter > 1 || timeExit < 0)
+                    return null;
+            }
+        }
+
+        // already overlapping at the start (or never separated), so leave it to regular detection
+        if (!axisEnter || timeEnter < 0)
+            return null;
+
+        var normal = velocityEnter > 0 ? Vector.neg(axisEnter) : Vector.clone(axisEnter);
+
+        return {
+            time: timeEnter,
+            normal: normal,
+            point: CCD._contactPoint(partA, partB, normal, Vector.add(offset, Vector.mult(displacement, timeEnter)))
+        };
+    };
+
+    /**
+     * Sweeps a body against all other bodies it could collide with and moves it back to the earliest impact found.
+     * If a `broadphase` is given, only the bodies it finds near the path are tested.
+     * @method _sweepBody
+     * @private
+     * @param {body} body
+     * @param {body[]} bodies
+     * @param {object} [broadphase]
+     */
+    CCD._sweepBody = function(body, bodies, broadphase) {
+        var displacement = Vector.sub(body.position, body.positionPrev),
+            sweepBounds = CCD._sweepBounds(body, displacement),
+            timeFirst = Infinity,
+            distanceFirst = 0;
+
+        if (displacement.x === 0 && displacement.y === 0)
+            return;
+
+        if (broadphase) {
+            // obstacles move slower than the body, so must be within its distance moved of its path
+            var distance = Vector.magnitude(displacement);
+
+            bodies = broadphase.controller.query(broadphase, {
+                min: { x: sweepBounds.min.x - distance, y: sweepBounds.min.y - distance },
+                max: { x: sweepBounds.max.x + distance, y: sweepBounds.max.y + distance }
+            });
+        }
+
+        for (var i = 0; i < bodies.length; i++) {
+            var other = bodies[i];
+
+            // moving obstacles are only swept against by faster bodies
+            if (other === body || other.isSensor || (!other.isStatic && !other.isSleeping && other.speed >= body.speed))
+                continue;
+
+            if (!Detector.canCollide(body.collisionFilter, other.collisionFilter))
+                continue;
+
+            var displacementOther = other.isStatic || other.isSleeping
+                    ? Vector.create() : Vector.sub(other.position, other.positionPrev),
+                relative = Vector.sub(displacement, displacementOther);
+
+            if (!Bounds.overlaps(sweepBounds, CCD._sweepBounds(other, displacementOther)))
+                continue;
+
+            for (var j = body.parts.length > 1 ? 1 : 0; j < body.parts.length; j++) {
+                var partA = body.parts[j];
+
+                for (var k = other.parts.length > 1 ? 1 : 0; k < other.parts.length; k++) {
+                    var impact = CCD.timeOfImpact(partA, other.parts[k], relative, Vector.neg(relative));
+
+                    if (impact && impact.time < timeFirst) {
+                        timeFirst = impact.time;
+                        distanceFirst = Vector.magnitude(relative);
+                    }
+                }
+            }
+        }
+
+        if (timeFirst === Infinity)
+            return;
+
+        // move slightly past the point of impact, so the contact is found by the narrowphase
+        var time = Math.min(1, timeFirst + CCD._overlap / distanceFirst);
+
+        Body.setPosition(body, {
+            x: body.positionPrev.x + displacement.x * time,
+            y: body.positionPrev.y + displacement.y * time
+        });
+    };
+
+    /**
+     * Returns `true` if the body moved further than a fraction of its own size in the last update.
+     * @method _isFast
+     * @private
+     * @param {body} body
+     * @return {boolean} True if the body is considered fast
+     */
+    CCD._isFast = function(body) {
+        var bounds = body.bounds,
+            width = bounds.max.x - bounds.min.x - Math.abs(body.velocity.x),
+            height = bounds.max.y - bounds.min.y - Math.abs(body.velocity.y);
+
+        return body.speed > CCD._fastThreshold * Math.min(width, height);
+    };
+
+    /**
+     * Returns the bounds covering the body at its current position and its position before `displacement`.
+     * @method _sweepBounds
+     * @private
+     * @param {body} body
+     * @param {vector} displacement
+     * @return {bounds} The swept bounds
+     */
+    CCD._sweepBounds = function(body, displacement) {
+        return {
+            min: {
+                x: body.bounds.min.x - Math.max(displacement.x, 0),
+                y: body.bounds.min.y - Math.max(displacement.y, 0)
+            },
+            max: {
+                x: body.bounds.max.x - Math.min(displacement.x, 0),
+                y: body.bounds.max.y - Math.min(displacement.y, 0)
+            }
+        };
+    };
+
+    /**
+     * Finds the point of contact between two touching parts, where `partA` is translated by `offset`.
+     * @method _contactPoint
+     * @private
+     * @param {body} partA
+     * @param {body} partB
+     * @param {vector} normal
+     * @param {vector} offset
+     * @return {vector} The contact point
+     */
+    CCD._contactPoint = function(partA, partB, normal, offset) {
+        var tangent = Vector.perp(normal),
+            supportA = CCD._supportInterval(partA.vertices, Vector.neg(normal), tangent),
+            supportB = CCD._supportInterval(partB.vertices, normal, tangent),
+            tangentShift = Vector.dot(offset, tangent),
+            tangentMin = Math.max(supportA.min + tangentShift, supportB.min),
+            tangentMax = Math.min(supportA.max + tangentShift, supportB.max),
+            tangentMid = tangentMin <= tangentMax ? (tangentMin + tangentMax) * 0.5 : supportA.min + tangentShift;
+
+        return {
+            x: normal.x * supportB.distance + tangent.x * tangentMid,
+            y: normal.y * supportB.distance + tangent.y * tangentMid
+        };
+    };
+
+    /**
+     * Finds the furthest vertices along `direction` and returns their interval along `tangent`.
+     * @method _supportInterval
+     * @private
+     * @param {vertices} vertices
+     * @param {vector} direction
+     * @param {vector} tangent
+     * @return {object} The support interval and its distance along `direction`
+     */
+    CCD._supportInterval = function(vertices, direction, tangent) {
+        var distance = -Infinity,
+            tolerance = 1e-6,
+            min = Infinity,
+            max = -Infinity,
+            i;
+
+        for (i = 0; i < vertices.length; i++) {
+            distance = Math.max(distance, Vector.dot(vertices[i], direction));
+        }
+
+        for (i = 0; i < vertices.length; i++) {
+            if (distance - Vector.dot(vertices[i], direction) > tolerance * (1 + Math.abs(distance)))
+                continue;
+
+            var position = Vector.dot(vertices[i], tangent);
+            min = Math.min(min, position);
+            max = Math.max(max, position);
+        }
+
+        return {
+            min: min,
+            max: max,
+            distance: distance
+        };
+    };
+
+})();
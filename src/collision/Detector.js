@@ -37,6 +37,9 @@ var Bounds = require('../geometry/Bounds');
 
             if ((bodyA.isStatic || bodyA.isSleeping) && (bodyB.isStatic || bodyB.isSleeping))
                 continue;
+
+            if ((bodyA.isStatic || bodyA.isKinematic) && (bodyB.isStatic || bodyB.isKinematic))
+                continue;
             
             if (!Detector.canCollide(bodyA.collisionFilter, bodyB.collisionFilter))
                 continue;
@@ -150,6 +150,45 @@ var Common = require('../core/Common');
         grid.pairsList = [];
     };
 
+    /**
+     * Returns the bodies in the grid buckets that overlap the given bounds, as found by the last `Grid.update`.
+     * The result may contain bodies that do not overlap the bounds, but it contains no duplicates.
+     * Bodies that were outside of `world.bounds` during the last update are not included.
+     * Bodies are found in the buckets they were in at the last update, so bodies that have moved since may be missed or included.
+     * @method query
+     * @param {grid} grid
+     * @param {bounds} bounds
+     * @return {body[]} The candidate bodies
+     */
+    Grid.query = function(grid, bounds) {
+        var region = Grid._getRegion(grid, { bounds: bounds }),
+            found = {},
+            result = [],
+            col,
+            row,
+            i;
+
+        for (col = region.startCol; col <= region.endCol; col++) {
+            for (row = region.startRow; row <= region.endRow; row++) {
+                var bucket = grid.buckets[Grid._getBucketId(col, row)];
+
+                if (!bucket)
+                    continue;
+
+                for (i = 0; i < bucket.length; i++) {
+                    var body = bucket[i];
+
+                    if (!found[body.id]) {
+                        found[body.id] = true;
+                        result.push(body);
+                    }
+                }
+            }
+        }
+
+        return result;
+    };
+
     /**
      * Finds the union of two regions.
      * @method _regionUnion
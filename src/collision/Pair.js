@@ -9,6 +9,7 @@ var Pair = {};
 module.exports = Pair;
 
 var Contact = require('./Contact');
+var Vector = require('../geometry/Vector');
 
 (function() {
     
@@ -35,13 +36,21 @@ var Contact = require('./Contact');
             isActive: true,
             confirmedActive: true,
             isSensor: bodyA.isSensor || bodyB.isSensor,
+            isEnabled: true,
+            isPassingThrough: Pair._isPassingThrough(collision),
             timeCreated: timestamp,
             timeUpdated: timestamp,
             inverseMass: parentA.inverseMass + parentB.inverseMass,
             friction: Math.min(parentA.friction, parentB.friction),
             frictionStatic: Math.max(parentA.frictionStatic, parentB.frictionStatic),
             restitution: Math.max(parentA.restitution, parentB.restitution),
-            slop: Math.max(parentA.slop, parentB.slop)
+            slop: Math.max(parentA.slop, parentB.slop),
+            surfaceVelocity: parentA.surfaceVelocity + parentB.surfaceVelocity,
+            approachSpeed: 0,
+            totalNormalImpulse: 0,
+            maxNormalImpulse: 0,
+            totalTangentImpulse: 0,
+            contactPoints: []
         };
 
         Pair.update(pair, collision, timestamp);
@@ -69,6 +78,10 @@ var Contact = require('./Contact');
         pair.frictionStatic = Math.max(parentA.frictionStatic, parentB.frictionStatic);
         pair.restitution = Math.max(parentA.restitution, parentB.restitution);
         pair.slop = Math.max(parentA.slop, parentB.slop);
+
+        // surfaces moving clockwise around each body both move body A along the tangent relative to body B
+        pair.surfaceVelocity = parentA.surfaceVelocity + parentB.surfaceVelocity;
+        pair.isEnabled = true;
         activeContacts.length = 0;
         
         if (collision.collided) {
@@ -78,20 +91,94 @@ var Contact = require('./Contact');
                     contact = contacts[contactId];
 
                 if (contact) {
+                    // supports may be replaced between updates (e.g. circle contacts)
+                    contact.vertex = support;
                     activeContacts.push(contact);
                 } else {
                     activeContacts.push(contacts[contactId] = Contact.create(support));
                 }
             }
 
+            // one-way bodies ignore collisions that start from the wrong side, until the bodies separate
+            if (!pair.isActive)
+                pair.isPassingThrough = Pair._isPassingThrough(collision);
+
+            pair.isEnabled = !pair.isPassingThrough;
             pair.separation = collision.depth;
             Pair.setActive(pair, true, timestamp);
         } else {
             if (pair.isActive === true)
                 Pair.setActive(pair, false, timestamp);
         }
+
+        Pair._updateContactPoints(pair);
+    };
+
+    /**
+     * Updates the pair's world-space contact points from its active contacts, and finds the speed the bodies approach each other at.
+     * The impulses of the contact points are reset, ready to be found by `Resolver.preSolveVelocity` and `Resolver.solveVelocity`.
+     * @method _updateContactPoints
+     * @private
+     * @param {pair} pair
+     */
+    Pair._updateContactPoints = function(pair) {
+        var collision = pair.collision,
+            bodyA = collision.parentA,
+            bodyB = collision.parentB,
+            normal = collision.normal,
+            activeContacts = pair.activeContacts,
+            contactPoints = pair.contactPoints,
+            angularVelocityA = bodyA.angle - bodyA.anglePrev,
+            angularVelocityB = bodyB.angle - bodyB.anglePrev,
+            approachSpeed = 0;
+
+        contactPoints.length = activeContacts.length;
+
+        for (var i = 0; i < activeContacts.length; i++) {
+            var vertex = activeContacts[i].vertex,
+                point = contactPoints[i] || (contactPoints[i] = {});
+
+            point.x = vertex.x;
+            point.y = vertex.y;
+            point.normalImpulse = 0;
+            point.tangentImpulse = 0;
+
+            // velocity of each body at the contact point
+            var velocityAX = bodyA.position.x - bodyA.positionPrev.x - (vertex.y - bodyA.position.y) * angularVelocityA,
+                velocityAY = bodyA.position.y - bodyA.positionPrev.y + (vertex.x - bodyA.position.x) * angularVelocityA,
+                velocityBX = bodyB.position.x - bodyB.positionPrev.x - (vertex.y - bodyB.position.y) * angularVelocityB,
+                velocityBY = bodyB.position.y - bodyB.positionPrev.y + (vertex.x - bodyB.position.x) * angularVelocityB,
+                normalVelocity = normal.x * (velocityAX - velocityBX) + normal.y * (velocityAY - velocityBY);
+
+            approachSpeed = Math.max(approachSpeed, -normalVelocity);
+        }
+
+        pair.approachSpeed = approachSpeed;
     };
     
+    /**
+     * Returns true if either body of the collision is one-way (see `body.oneWayNormal`),
+     * and the collision normal points away from the side the other body may collide from.
+     * @method _isPassingThrough
+     * @private
+     * @param {collision} collision
+     * @return {boolean} True if the collision should be ignored
+     */
+    Pair._isPassingThrough = function(collision) {
+        var parentA = collision.parentA,
+            parentB = collision.parentB,
+            normal = collision.normal;
+
+        // the normal points from body B towards body A
+        if (parentA.oneWayNormal && Vector.dot(Vector.rotate(parentA.oneWayNormal, parentA.angle), normal) >= 0)
+            return true;
+
+        if (parentB.oneWayNormal && Vector.dot(Vector.rotate(parentB.oneWayNormal, parentB.angle), normal) <= 0)
+            return true;
+
+        return false;
+    };
+
     /**
      * Set a pair as active or inactive.
      * @method setActive
@@ -106,6 +193,7 @@ var Contact = require('./Contact');
         } else {
             pair.isActive = false;
             pair.activeContacts.length = 0;
+            pair.contactPoints.length = 0;
         }
     };
 
@@ -124,4 +212,92 @@ var Contact = require('./Contact');
         }
     };
 
+    /*
+    *
+    *  Properties Documentation
+    *
+    */
+
+    /**
+     * A flag that indicates if the pair is resolved in the current update.
+     * It is reset whenever the pair is updated (to `true`, unless the pair `isPassingThrough`), so it may be set to `false` in a `preSolve` event to ignore the collision for one update,
+     * while still tracking the pair (so `collisionStart` does not fire again).
+     *
+     * @property isEnabled
+     * @type boolean
+     * @default true
+     */
+
+    /**
+     * A flag that indicates if the pair started colliding from the wrong side of a one-way body (see `body.oneWayNormal`).
+     * It is found when the pair becomes active and lasts until the bodies separate, and while set the pair is not enabled.
+     * The pair is still tracked, but is left out of collision, `preSolve` and `postSolve` events while set.
+     *
+     * @property isPassingThrough
+     * @type boolean
+     * @default false
+     * @readOnly
+     */
+
+    /**
+     * A `Number` that specifies the speed friction drives `bodyA` at relative to `bodyB` along `collision.tangent`, in units per update.
+     * It is reset to the sum of the bodies' `surfaceVelocity` whenever the pair is updated, so it may be overridden in a `preSolve` event.
+     * The pair's `friction`, `frictionStatic`, `restitution` and `slop` are likewise found from its bodies on each update and may be overridden in a `preSolve` event.
+     *
+     * @property surfaceVelocity
+     * @type number
+     */
+
+    /**
+     * A `Number` that is the speed the bodies were approaching each other at when the collision was found,
+     * along the collision normal and at the fastest contact point.
+     * It is found before the collision is resolved, so it is available in `collisionStart` events.
+     * A value of `0` means the bodies were not approaching (e.g. resting).
+     *
+     * @property approachSpeed
+     * @type number
+     * @default 0
+     * @readOnly
+     */
+
+    /**
+     * A `Number` that is the total normal impulse applied to separate the bodies over all contacts during the last update.
+     * It is always positive, and in units of mass times velocity (in units per update).
+     * Impulses are found when resolving, so they are up to date in `collisionActive`, `collisionEnd` and `afterUpdate` events,
+     * but are `0` for pairs that have only just started colliding in `collisionStart` events.
+     *
+     * @property totalNormalImpulse
+     * @type number
+     * @default 0
+     * @readOnly
+     */
+
+    /**
+     * A `Number` that is the largest normal impulse applied at a single contact during the last update.
+     *
+     * @property maxNormalImpulse
+     * @type number
+     * @default 0
+     * @readOnly
+     */
+
+    /**
+     * A `Number` that is the total friction impulse applied over all contacts during the last update,
+     * as applied to `bodyA` along `collision.tangent` (`bodyB` receives the opposite).
+     *
+     * @property totalTangentImpulse
+     * @type number
+     * @default 0
+     * @readOnly
+     */
+
+    /**
+     * An array of the pair's active contacts in world space, each an object with `x`, `y`,
+     * `normalImpulse` and `tangentImpulse` properties giving its position and the impulses applied there during the last update.
+     *
+     * @property contactPoints
+     * @type object[]
+     * @readOnly
+     */
+
 })();
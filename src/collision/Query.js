@@ -1,6 +1,12 @@
 /**
 * The `Matter.Query` module contains methods for performing collision queries.
 *
+* Queries accept either a list of bodies to test, or an `engine` in its place.
+* When given an engine, its broadphase is used to find the candidate bodies near the query,
+* which is much faster than testing every body in large worlds.
+* The broadphase is used as it stood after the last `Engine.update`, so a body moved since then (e.g. using `Body.setPosition`)
+* is not found at its new position until the next update, though it is no longer found at its old position.
+*
 * See the included usage [examples](https://github.com/liabru/matter-js/tree/master/examples).
 *
 * @class Query
@@ -15,6 +21,10 @@ var SAT = require('./SAT');
 var Bounds = require('../geometry/Bounds');
 var Bodies = require('../factory/Bodies');
 var Vertices = require('../geometry/Vertices');
+var Detector = require('./Detector');
+var CCD = require('./CCD');
+var Composite = require('../body/Composite');
+var Common = require('../core/Common');
 
 (function() {
 
@@ -22,12 +32,14 @@ var Vertices = require('../geometry/Vertices');
      * Returns a list of collisions between `body` and `bodies`.
      * @method collides
      * @param {body} body
-     * @param {body[]} bodies
+     * @param {body[]|engine} bodies
      * @return {object[]} Collisions
      */
     Query.collides = function(body, bodies) {
         var collisions = [];
 
+        bodies = Query._candidates(bodies, body.bounds);
+
         for (var i = 0; i < bodies.length; i++) {
             var bodyA = bodies[i];
             
@@ -52,8 +64,9 @@ var Vertices = require('../geometry/Vertices');
 
     /**
      * Casts a ray segment against a set of bodies and returns all collisions, ray width is optional. Intersection points are not provided.
+     * See `Query.raycast` for a ray query that provides intersection points and normals.
      * @method ray
-     * @param {body[]} bodies
+     * @param {body[]|engine} bodies
      * @param {vector} startPoint
      * @param {vector} endPoint
      * @param {number} [rayWidth]
@@ -77,10 +90,362 @@ var Vertices = require('../geometry/Vertices');
         return collisions;
     };
 
+    /**
+     * Casts a ray segment from `startPoint` to `endPoint` against a set of bodies and returns the hits sorted by distance.
+     * Each hit is an object containing the `body` and the `part` hit, the world-space intersection `point`, 
+     * the surface `normal` at that point and the `fraction` along the ray (from `0` at `startPoint` to `1` at `endPoint`).
+     * Circles are tested using their true `circleRadius`. Bodies that contain `startPoint` are not reported.
+     *
+     * The `options.mode` may be `'all'` (every body hit, the default), `'closest'` (only the nearest hit) 
+     * or `'any'` (the first hit found, which is the fastest when only checking for line-of-sight).
+     * If an `options.collisionFilter` is given, only bodies that can collide with it are tested (see `body.collisionFilter`).
+     * @method raycast
+     * @param {body[]|engine} bodies
+     * @param {vector} startPoint
+     * @param {vector} endPoint
+     * @param {object} [options]
+     * @return {object[]} The hits sorted by fraction
+     */
+    Query.raycast = function(bodies, startPoint, endPoint, options) {
+        options = options || {};
+
+        var mode = options.mode || 'all',
+            filter = options.collisionFilter,
+            direction = Vector.sub(endPoint, startPoint),
+            rayBounds = {
+                min: { x: Math.min(startPoint.x, endPoint.x), y: Math.min(startPoint.y, endPoint.y) },
+                max: { x: Math.max(startPoint.x, endPoint.x), y: Math.max(startPoint.y, endPoint.y) }
+            },
+            hits = [],
+            closest = null;
+
+        bodies = Query._candidates(bodies, rayBounds);
+
+        for (var i = 0; i < bodies.length; i++) {
+            var body = bodies[i],
+                bodyHit = null;
+
+            if (filter && !Detector.canCollide(filter, body.collisionFilter))
+                continue;
+
+            if (!Bounds.overlaps(body.bounds, rayBounds))
+                continue;
+
+            // find the nearest part hit
+            for (var j = body.parts.length === 1 ? 0 : 1; j < body.parts.length; j++) {
+                var part = body.parts[j];
+
+                if (!Bounds.overlaps(part.bounds, rayBounds))
+                    continue;
+
+                var hit = part.circleRadius ? Query._raycastCircle(part, startPoint, direction) 
+                    : Query._raycastVertices(part, startPoint, direction);
+
+                if (hit && (!bodyHit || hit.fraction < bodyHit.fraction)) {
+                    hit.body = body;
+                    hit.part = part;
+                    bodyHit = hit;
+                }
+            }
+
+            if (!bodyHit)
+                continue;
+
+            if (mode === 'any')
+                return [bodyHit];
+
+            if (mode === 'closest') {
+                if (!closest || bodyHit.fraction < closest.fraction)
+                    closest = bodyHit;
+            } else {
+                hits.push(bodyHit);
+            }
+        }
+
+        if (mode === 'closest')
+            return closest ? [closest] : [];
+
+        hits.sort(function(hitA, hitB) {
+            return hitA.fraction - hitB.fraction;
+        });
+
+        return hits;
+    };
+
+    /**
+     * Sweeps `body` along a straight path from `startPoint` to `endPoint` (positions of its centre) against a set of bodies
+     * and returns the first impact, or `null` if the path is clear. The body itself is not moved.
+     * The impact is an object containing the `body` and the `part` hit, the `fraction` of the path travelled before impact,
+     * the `position` of the swept body at the impact, the world-space contact `point` and the surface `normal` of the body hit.
+     * Only translation is swept (at the current angle of the body). Circles are swept using their true `circleRadius`, as they are in collisions.
+     * Bodies already overlapping the swept body at `startPoint` are not reported, see `Query.collides` for testing a single position.
+     * Bodies that can not collide with `body` (see `body.collisionFilter`) are ignored.
+     * @method shapeCast
+     * @param {body} body
+     * @param {vector} startPoint
+     * @param {vector} endPoint
+     * @param {body[]|engine} bodies
+     * @return {object|null} The first impact, or `null` if none
+     */
+    Query.shapeCast = function(body, startPoint, endPoint, bodies) {
+        var offset = Vector.sub(startPoint, body.position),
+            displacement = Vector.sub(endPoint, startPoint),
+            bounds = Bounds.create(body.vertices),
+            sweepBounds = {
+                min: { 
+                    x: bounds.min.x + offset.x + Math.min(displacement.x, 0), 
+                    y: bounds.min.y + offset.y + Math.min(displacement.y, 0) 
+                },
+                max: { 
+                    x: bounds.max.x + offset.x + Math.max(displacement.x, 0), 
+                    y: bounds.max.y + offset.y + Math.max(displacement.y, 0) 
+                }
+            },
+            first = null;
+
+        bodies = Query._candidates(bodies, sweepBounds);
+
+        for (var i = 0; i < bodies.length; i++) {
+            var other = bodies[i];
+
+            if (other === body || !Detector.canCollide(body.collisionFilter, other.collisionFilter))
+                continue;
+
+            if (!Bounds.overlaps(other.bounds, sweepBounds))
+                continue;
+
+            for (var j = body.parts.length === 1 ? 0 : 1; j < body.parts.length; j++) {
+                var part = body.parts[j];
+
+                for (var k = other.parts.length === 1 ? 0 : 1; k < other.parts.length; k++) {
+                    var otherPart = other.parts[k];
+
+                    if (!Bounds.overlaps(otherPart.bounds, sweepBounds))
+                        continue;
+
+                    var impact = Query._timeOfImpact(part, otherPart, displacement, offset);
+
+                    if (impact && (!first || impact.time < first.fraction)) {
+                        first = {
+                            body: other,
+                            part: otherPart,
+                            fraction: impact.time,
+                            position: Vector.add(startPoint, Vector.mult(displacement, impact.time)),
+                            point: impact.point,
+                            normal: impact.normal
+                        };
+                    }
+                }
+            }
+        }
+
+        return first;
+    };
+
+    /**
+     * Finds the time of impact between two convex parts, where `partA` is translated by `offset` and moves along `displacement`.
+     * Circles are swept using their true radius, otherwise see `CCD.timeOfImpact`.
+     * @method _timeOfImpact
+     * @private
+     * @param {body} partA
+     * @param {body} partB
+     * @param {vector} displacement
+     * @param {vector} offset
+     * @return {object|null} The impact, or `null` if none
+     */
+    Query._timeOfImpact = function(partA, partB, displacement, offset) {
+        if (partA.circleRadius)
+            return Query._sweepCircle(partA.circleRadius, Vector.add(partA.position, offset), displacement, partB);
+
+        if (!partB.circleRadius)
+            return CCD.timeOfImpact(partA, partB, displacement, offset);
+
+        // sweep the circle the opposite way relative to the polygon, then move the impact back to where the polygon is
+        var impact = Query._sweepCircle(partB.circleRadius, Vector.sub(partB.position, offset), Vector.neg(displacement), partA);
+
+        if (impact) {
+            impact.normal = Vector.neg(impact.normal);
+            impact.point = Vector.add(impact.point, Vector.add(offset, Vector.mult(displacement, impact.time)));
+        }
+
+        return impact;
+    };
+
+    /**
+     * Finds the time of impact of a circle with the given `radius` moving from `startPoint` along `displacement` against a static part.
+     * This is a ray cast from the centre of the circle against the part grown by the radius.
+     * The `normal` is the surface normal of the part at the impact and `point` is the point of contact on the part.
+     * Returns `null` if there is no impact, or if the circle already overlaps the part at the start.
+     * @method _sweepCircle
+     * @private
+     * @param {number} radius
+     * @param {vector} startPoint
+     * @param {vector} displacement
+     * @param {body} part
+     * @return {object|null} The impact, or `null` if none
+     */
+    Query._sweepCircle = function(radius, startPoint, displacement, part) {
+        var first = null,
+            hit;
+
+        if (part.circleRadius) {
+            hit = Query._raycastCircle({ position: part.position, circleRadius: part.circleRadius + radius }, startPoint, displacement);
+
+            return hit && {
+                time: hit.fraction,
+                normal: hit.normal,
+                point: Vector.add(part.position, Vector.mult(hit.normal, part.circleRadius))
+            };
+        }
+
+        var vertices = part.vertices;
+
+        if (Vertices.contains(vertices, startPoint))
+            return null;
+
+        for (var i = 0; i < vertices.length; i++) {
+            var vertex = vertices[i],
+                edge = Vector.sub(vertices[(i + 1) % vertices.length], vertex),
+                edgeLengthSquared = Vector.magnitudeSquared(edge),
+                normal = Vector.normalise({ x: edge.y, y: -edge.x }),
+                along = edgeLengthSquared > 0 ? Vector.dot(Vector.sub(startPoint, vertex), edge) / edgeLengthSquared : 0;
+
+            // ensure the edge normal faces outwards
+            if (Vector.dot(normal, Vector.sub(vertex, part.position)) < 0)
+                normal = Vector.neg(normal);
+
+            // already overlapping the edge at the start
+            var nearest = Vector.add(vertex, Vector.mult(edge, Math.max(0, Math.min(1, along))));
+
+            if (Vector.magnitudeSquared(Vector.sub(startPoint, nearest)) < radius * radius)
+                return null;
+
+            // the edge moved out by the radius
+            var distance = Vector.dot(normal, Vector.sub(startPoint, vertex)) - radius,
+                speed = -Vector.dot(normal, displacement);
+
+            if (speed > 0 && distance >= 0 && distance <= speed && (!first || distance / speed < first.time)) {
+                var point = Vector.sub(Vector.add(startPoint, Vector.mult(displacement, distance / speed)), Vector.mult(normal, radius)),
+                    alongImpact = edgeLengthSquared > 0 ? Vector.dot(Vector.sub(point, vertex), edge) / edgeLengthSquared : 0;
+
+                if (alongImpact >= 0 && alongImpact <= 1)
+                    first = { time: distance / speed, normal: normal, point: point };
+            }
+
+            // the rounded corner at the vertex
+            hit = Query._raycastCircle({ position: vertex, circleRadius: radius }, startPoint, displacement);
+
+            if (hit && (!first || hit.fraction < first.time))
+                first = { time: hit.fraction, normal: hit.normal, point: Vector.clone(vertex) };
+        }
+
+        return first;
+    };
+
+    /**
+     * Finds where a ray enters a convex part using its vertices.
+     * @method _raycastVertices
+     * @private
+     * @param {body} part
+     * @param {vector} startPoint
+     * @param {vector} direction
+     * @return {object|null} The hit, or `null` if none
+     */
+    Query._raycastVertices = function(part, startPoint, direction) {
+        var vertices = part.vertices,
+            fractionEnter = 0,
+            fractionExit = 1,
+            normalEnter = null;
+
+        for (var i = 0; i < vertices.length; i++) {
+            var vertex = vertices[i],
+                nextVertex = vertices[(i + 1) % vertices.length],
+                normal = Vector.normalise({ x: nextVertex.y - vertex.y, y: vertex.x - nextVertex.x });
+
+            // ensure the edge normal faces outwards
+            if (Vector.dot(normal, Vector.sub(vertex, part.position)) < 0) {
+                normal.x = -normal.x;
+                normal.y = -normal.y;
+            }
+
+            var distance = Vector.dot(normal, Vector.sub(vertex, startPoint)),
+                speed = Vector.dot(normal, direction);
+
+            if (speed === 0) {
+                // parallel to this edge and outside of it
+                if (distance < 0)
+                    return null;
+
+                continue;
+            }
+
+            var fraction = distance / speed;
+
+            if (speed < 0) {
+                // entering through this edge
+                if (fraction > fractionEnter) {
+                    fractionEnter = fraction;
+                    normalEnter = normal;
+                }
+            } else if (fraction < fractionExit) {
+                // exiting through this edge
+                fractionExit = fraction;
+            }
+
+            if (fractionEnter > fractionExit)
+                return null;
+        }
+
+        // either missed, or the ray starts inside the part
+        if (!normalEnter)
+            return null;
+
+        return {
+            point: Vector.add(startPoint, Vector.mult(direction, fractionEnter)),
+            normal: normalEnter,
+            fraction: fractionEnter
+        };
+    };
+
+    /**
+     * Finds where a ray enters a circle part.
+     * @method _raycastCircle
+     * @private
+     * @param {body} part
+     * @param {vector} startPoint
+     * @param {vector} direction
+     * @return {object|null} The hit, or `null` if none
+     */
+    Query._raycastCircle = function(part, startPoint, direction) {
+        var radius = part.circleRadius,
+            offset = Vector.sub(startPoint, part.position),
+            a = Vector.dot(direction, direction),
+            b = 2 * Vector.dot(offset, direction),
+            c = Vector.dot(offset, offset) - radius * radius,
+            discriminant = b * b - 4 * a * c;
+
+        // ray starts inside, or misses the circle
+        if (c <= 0 || a === 0 || discriminant < 0)
+            return null;
+
+        var fraction = (-b - Math.sqrt(discriminant)) / (2 * a);
+
+        if (fraction < 0 || fraction > 1)
+            return null;
+
+        var point = Vector.add(startPoint, Vector.mult(direction, fraction));
+
+        return {
+            point: point,
+            normal: Vector.div(Vector.sub(point, part.position), radius),
+            fraction: fraction
+        };
+    };
+
     /**
      * Returns all bodies whose bounds are inside (or outside if set) the given set of bounds, from the given set of bodies.
      * @method region
-     * @param {body[]} bodies
+     * @param {body[]|engine} bodies
      * @param {bounds} bounds
      * @param {bool} [outside=false]
      * @return {body[]} The bodies matching the query
@@ -88,6 +453,8 @@ var Vertices = require('../geometry/Vertices');
     Query.region = function(bodies, bounds, outside) {
         var result = [];
 
+        bodies = outside ? Query._candidates(bodies) : Query._candidates(bodies, bounds);
+
         for (var i = 0; i < bodies.length; i++) {
             var body = bodies[i],
                 overlaps = Bounds.overlaps(body.bounds, bounds);
@@ -101,13 +468,15 @@ var Vertices = require('../geometry/Vertices');
     /**
      * Returns all bodies whose vertices contain the given point, from the given set of bodies.
      * @method point
-     * @param {body[]} bodies
+     * @param {body[]|engine} bodies
      * @param {vector} point
      * @return {body[]} The bodies matching the query
      */
     Query.point = function(bodies, point) {
         var result = [];
 
+        bodies = Query._candidates(bodies, { min: point, max: point });
+
         for (var i = 0; i < bodies.length; i++) {
             var body = bodies[i];
             
@@ -127,4 +496,46 @@ var Vertices = require('../geometry/Vertices');
         return result;
     };
 
+    /**
+     * Returns the bodies to test for a query within `bounds`.
+     * If `bodies` is an engine, its broadphase is used to find candidates if it supports queries (see `Query._broadphase`),
+     * otherwise all bodies in the engine's world are returned.
+     * @method _candidates
+     * @private
+     * @param {body[]|engine} bodies
+     * @param {bounds} [bounds]
+     * @return {body[]} The candidate bodies
+     */
+    Query._candidates = function(bodies, bounds) {
+        if (Common.isArray(bodies))
+            return bodies;
+
+        var engine = bodies,
+            broadphase = bounds ? Query._broadphase(engine) : null;
+
+        if (broadphase)
+            return broadphase.controller.query(broadphase, bounds);
+
+        return Composite.allBodies(engine.world);
+    };
+
+    /**
+     * Returns the engine's broadphase if it supports queries, as it stood after the last engine update.
+     * The broadphase is not updated here, as that would cost as much as testing every body.
+     * Returns `null` if the broadphase does not support queries, or if the world has been modified since the last engine update.
+     * @method _broadphase
+     * @private
+     * @param {engine} engine
+     * @return {object|null} The broadphase, or `null`
+     */
+    Query._broadphase = function(engine) {
+        var broadphase = engine.broadphase;
+
+        // added or removed bodies are only handled when the engine clears the broadphase on its next update
+        if (!broadphase || !broadphase.controller || !broadphase.controller.query || engine.world.isModified)
+            return null;
+
+        return broadphase;
+    };
+
 })();
@@ -35,7 +35,7 @@ var Bounds = require('../geometry/Bounds');
         for (i = 0; i < pairs.length; i++) {
             pair = pairs[i];
             
-            if (!pair.isActive)
+            if (!pair.isActive || !pair.isEnabled)
                 continue;
             
             activeCount = pair.activeContacts.length;
@@ -70,7 +70,7 @@ var Bounds = require('../geometry/Bounds');
         for (i = 0; i < pairs.length; i++) {
             pair = pairs[i];
             
-            if (!pair.isActive || pair.isSensor)
+            if (!pair.isActive || !pair.isEnabled || pair.isSensor)
                 continue;
 
             collision = pair.collision;
@@ -89,7 +89,7 @@ var Bounds = require('../geometry/Bounds');
         for (i = 0; i < pairs.length; i++) {
             pair = pairs[i];
 
-            if (!pair.isActive || pair.isSensor)
+            if (!pair.isActive || !pair.isEnabled || pair.isSensor)
                 continue;
             
             collision = pair.collision;
@@ -98,16 +98,16 @@ var Bounds = require('../geometry/Bounds');
             normal = collision.normal;
             positionImpulse = (pair.separation - pair.slop) * timeScale;
 
-            if (bodyA.isStatic || bodyB.isStatic)
+            if (bodyA.isStatic || bodyA.isKinematic || bodyB.isStatic || bodyB.isKinematic)
                 positionImpulse *= 2;
             
-            if (!(bodyA.isStatic || bodyA.isSleeping)) {
+            if (!(bodyA.isStatic || bodyA.isKinematic || bodyA.isSleeping)) {
                 contactShare = Resolver._positionDampen / bodyA.totalContacts;
                 bodyA.positionImpulse.x += normal.x * positionImpulse * contactShare;
                 bodyA.positionImpulse.y += normal.y * positionImpulse * contactShare;
             }
 
-            if (!(bodyB.isStatic || bodyB.isSleeping)) {
+            if (!(bodyB.isStatic || bodyB.isKinematic || bodyB.isSleeping)) {
                 contactShare = Resolver._positionDampen / bodyB.totalContacts;
                 bodyB.positionImpulse.x -= normal.x * positionImpulse * contactShare;
                 bodyB.positionImpulse.y -= normal.y * positionImpulse * contactShare;
@@ -171,6 +171,7 @@ var Bounds = require('../geometry/Bounds');
             tangent,
             contact,
             contactVertex,
+            contactPoint,
             normalImpulse,
             tangentImpulse,
             offset,
@@ -180,7 +181,7 @@ var Bounds = require('../geometry/Bounds');
         for (i = 0; i < pairs.length; i++) {
             pair = pairs[i];
             
-            if (!pair.isActive || pair.isSensor)
+            if (!pair.isActive || !pair.isEnabled || pair.isSensor)
                 continue;
             
             contacts = pair.activeContacts;
@@ -196,6 +197,11 @@ var Bounds = require('../geometry/Bounds');
                 contactVertex = contact.vertex;
                 normalImpulse = contact.normalImpulse;
                 tangentImpulse = contact.tangentImpulse;
+                contactPoint = pair.contactPoints[j];
+
+                // the warming impulse counts towards the impulse applied this update
+                contactPoint.normalImpulse = -normalImpulse;
+                contactPoint.tangentImpulse = -tangentImpulse;
 
                 if (normalImpulse !== 0 || tangentImpulse !== 0) {
                     // total impulse from contact
@@ -203,14 +209,14 @@ var Bounds = require('../geometry/Bounds');
                     impulse.y = (normal.y * normalImpulse) + (tangent.y * tangentImpulse);
                     
                     // apply impulse from contact
-                    if (!(bodyA.isStatic || bodyA.isSleeping)) {
+                    if (!(bodyA.isStatic || bodyA.isKinematic || bodyA.isSleeping)) {
                         offset = Vector.sub(contactVertex, bodyA.position, tempA);
                         bodyA.positionPrev.x += impulse.x * bodyA.inverseMass;
                         bodyA.positionPrev.y += impulse.y * bodyA.inverseMass;
                         bodyA.anglePrev += Vector.cross(offset, impulse) * bodyA.inverseInertia;
                     }
 
-                    if (!(bodyB.isStatic || bodyB.isSleeping)) {
+                    if (!(bodyB.isStatic || bodyB.isKinematic || bodyB.isSleeping)) {
                         offset = Vector.sub(contactVertex, bodyB.position, tempA);
                         bodyB.positionPrev.x -= impulse.x * bodyB.inverseMass;
                         bodyB.positionPrev.y -= impulse.y * bodyB.inverseMass;
@@ -239,7 +245,7 @@ var Bounds = require('../geometry/Bounds');
         for (var i = 0; i < pairs.length; i++) {
             var pair = pairs[i];
             
-            if (!pair.isActive || pair.isSensor)
+            if (!pair.isActive || !pair.isEnabled || pair.isSensor)
                 continue;
             
             var collision = pair.collision,
@@ -269,7 +275,8 @@ var Bounds = require('../geometry/Bounds');
                     relativeVelocity = Vector.sub(velocityPointA, velocityPointB, tempE),
                     normalVelocity = Vector.dot(normal, relativeVelocity);
 
-                var tangentVelocity = Vector.dot(tangent, relativeVelocity),
+                // friction drives the bodies towards the pair's surface velocity
+                var tangentVelocity = Vector.dot(tangent, relativeVelocity) - pair.surfaceVelocity * timeScale,
                     tangentSpeed = Math.abs(tangentVelocity),
                     tangentVelocityDirection = Common.sign(tangentVelocity);
 
@@ -321,18 +328,22 @@ var Bounds = require('../geometry/Bounds');
                     tangentImpulse = contact.tangentImpulse - contactTangentImpulse;
                 }
 
+                // keep track of the impulse applied for the pair's summary
+                pair.contactPoints[j].normalImpulse -= normalImpulse;
+                pair.contactPoints[j].tangentImpulse -= tangentImpulse;
+
                 // total impulse from contact
                 impulse.x = (normal.x * normalImpulse) + (tangent.x * tangentImpulse);
                 impulse.y = (normal.y * normalImpulse) + (tangent.y * tangentImpulse);
                 
                 // apply impulse from contact
-                if (!(bodyA.isStatic || bodyA.isSleeping)) {
+                if (!(bodyA.isStatic || bodyA.isKinematic || bodyA.isSleeping)) {
                     bodyA.positionPrev.x += impulse.x * bodyA.inverseMass;
                     bodyA.positionPrev.y += impulse.y * bodyA.inverseMass;
                     bodyA.anglePrev += Vector.cross(offsetA, impulse) * bodyA.inverseInertia;
                 }
 
-                if (!(bodyB.isStatic || bodyB.isSleeping)) {
+                if (!(bodyB.isStatic || bodyB.isKinematic || bodyB.isSleeping)) {
                     bodyB.positionPrev.x -= impulse.x * bodyB.inverseMass;
                     bodyB.positionPrev.y -= impulse.y * bodyB.inverseMass;
                     bodyB.anglePrev -= Vector.cross(offsetB, impulse) * bodyB.inverseInertia;
@@ -341,4 +352,33 @@ var Bounds = require('../geometry/Bounds');
         }
     };
 
+    /**
+     * Sums up the impulses applied at the contact points of each pair after velocity solving.
+     * @method postSolveVelocity
+     * @param {pair[]} pairs
+     */
+    Resolver.postSolveVelocity = function(pairs) {
+        for (var i = 0; i < pairs.length; i++) {
+            var pair = pairs[i],
+                contactPoints = pair.contactPoints,
+                totalNormalImpulse = 0,
+                maxNormalImpulse = 0,
+                totalTangentImpulse = 0;
+
+            if (pair.isActive && pair.isEnabled && !pair.isSensor) {
+                for (var j = 0; j < contactPoints.length; j++) {
+                    var contactPoint = contactPoints[j];
+
+                    totalNormalImpulse += contactPoint.normalImpulse;
+                    maxNormalImpulse = Math.max(maxNormalImpulse, contactPoint.normalImpulse);
+                    totalTangentImpulse += contactPoint.tangentImpulse;
+                }
+            }
+
+            pair.totalNormalImpulse = totalNormalImpulse;
+            pair.maxNormalImpulse = maxNormalImpulse;
+            pair.totalTangentImpulse = totalTangentImpulse;
+        }
+    };
+
 })();
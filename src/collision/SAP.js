@@ -0,0 +1,208 @@
+/**
+* The `Matter.SAP` module contains methods for creating and manipulating collision broadphase sweep and prune (sort and sweep) structures.
+* Bodies are kept sorted by their bounds along a single axis between updates, so that only bodies with overlapping intervals need to be paired.
+* This is an alternative to `Matter.Grid` that suits worlds spread out along one axis, such as long horizontal levels.
+*
+* @class SAP
+*/
+
+var SAP = {};
+
+module.exports = SAP;
+
+var Detector = require('./Detector');
+var Common = require('../core/Common');
+
+(function() {
+
+    /**
+     * Creates a new sweep and prune structure.
+     * @method create
+     * @param {} options
+     * @return {sap} A new sweep and prune structure
+     */
+    SAP.create = function(options) {
+        var defaults = {
+            controller: SAP,
+            detector: Detector.collisions,
+            bodies: [],
+            pairsList: [],
+            extent: 0,
+            axis: 'x'
+        };
+
+        return Common.extend(defaults, options);
+    };
+
+    /**
+     * The axis that bodies are sorted and swept along, either `'x'` or `'y'`.
+     * This should be the axis along which bodies are most spread out.
+     *
+     * @property axis
+     * @type string
+     * @default 'x'
+     */
+
+    /**
+     * The largest size of any body's bounds along `axis`, as found by the last update.
+     * It is used to limit the bodies visited by `SAP.query`.
+     *
+     * @property extent
+     * @type number
+     * @default 0
+     * @readOnly
+     */
+
+    /**
+     * Updates the sweep and prune structure.
+     * @method update
+     * @param {sap} sap
+     * @param {body[]} bodies
+     * @param {engine} engine
+     * @param {boolean} forceUpdate
+     */
+    SAP.update = function(sap, bodies, engine, forceUpdate) {
+        var axis = sap.axis,
+            otherAxis = axis === 'x' ? 'y' : 'x',
+            sorted = sap.bodies,
+            pairs = [],
+            i,
+            j;
+
+        // @if DEBUG
+        var metrics = engine.metrics;
+        metrics.broadphaseTests = 0;
+        // @endif
+
+        if (forceUpdate || sorted.length !== bodies.length)
+            sorted = sap.bodies = bodies.slice(0);
+
+        // bodies move little between updates, so insertion sort is close to linear
+        SAP._sort(sorted, axis);
+
+        sap.extent = 0;
+
+        for (i = 0; i < sorted.length; i++) {
+            var bodyA = sorted[i],
+                boundsA = bodyA.bounds;
+
+            sap.extent = Math.max(sap.extent, boundsA.max[axis] - boundsA.min[axis]);
+
+            for (j = i + 1; j < sorted.length; j++) {
+                var bodyB = sorted[j],
+                    boundsB = bodyB.bounds;
+
+                // no later body can overlap along the sweep axis
+                if (boundsB.min[axis] > boundsA.max[axis])
+                    break;
+
+                // @if DEBUG
+                metrics.broadphaseTests += 1;
+                // @endif
+
+                if (bodyA.isStatic && bodyB.isStatic)
+                    continue;
+
+                if (boundsB.max[otherAxis] < boundsA.min[otherAxis] || boundsB.min[otherAxis] > boundsA.max[otherAxis])
+                    continue;
+
+                pairs.push([bodyA, bodyB, 1]);
+            }
+        }
+
+        sap.pairsList = pairs;
+    };
+
+    /**
+     * Clears the sweep and prune structure.
+     * @method clear
+     * @param {sap} sap
+     */
+    SAP.clear = function(sap) {
+        sap.bodies = [];
+        sap.pairsList = [];
+        sap.extent = 0;
+    };
+
+    /**
+     * Returns the bodies that overlap the given bounds, as sorted by the last `SAP.update`.
+     * The result contains no duplicates.
+     * Only the bodies that may overlap the bounds along the axis are visited, by searching the sorted list.
+     * Bodies are searched in the order they were sorted in at the last update, so bodies that have moved since may be missed.
+     * @method query
+     * @param {sap} sap
+     * @param {bounds} bounds
+     * @return {body[]} The candidate bodies
+     */
+    SAP.query = function(sap, bounds) {
+        var axis = sap.axis,
+            otherAxis = axis === 'x' ? 'y' : 'x',
+            sorted = sap.bodies,
+            result = [];
+
+        // no body starting before the widest body's extent can reach the bounds
+        for (var i = SAP._search(sorted, axis, bounds.min[axis] - sap.extent); i < sorted.length; i++) {
+            var bodyBounds = sorted[i].bounds;
+
+            if (bodyBounds.min[axis] > bounds.max[axis])
+                break;
+
+            if (bodyBounds.max[axis] < bounds.min[axis]
+                || bodyBounds.max[otherAxis] < bounds.min[otherAxis] || bodyBounds.min[otherAxis] > bounds.max[otherAxis])
+                continue;
+
+            result.push(sorted[i]);
+        }
+
+        return result;
+    };
+
+    /**
+     * Returns the index of the first of the sorted bodies with bounds starting at or after `value` along the axis, using a binary search.
+     * @method _search
+     * @private
+     * @param {body[]} bodies
+     * @param {string} axis
+     * @param {number} value
+     * @return {number} The index of the first body at or after the value
+     */
+    SAP._search = function(bodies, axis, value) {
+        var low = 0,
+            high = bodies.length;
+
+        while (low < high) {
+            var middle = (low + high) >> 1;
+
+            if (bodies[middle].bounds.min[axis] < value) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        return low;
+    };
+
+    /**
+     * Sorts bodies in place by the minimum of their bounds along the given axis, using an insertion sort.
+     * @method _sort
+     * @private
+     * @param {body[]} bodies
+     * @param {string} axis
+     */
+    SAP._sort = function(bodies, axis) {
+        for (var i = 1; i < bodies.length; i++) {
+            var body = bodies[i],
+                min = body.bounds.min[axis],
+                j = i - 1;
+
+            while (j >= 0 && bodies[j].bounds.min[axis] > min) {
+                bodies[j + 1] = bodies[j];
+                j--;
+            }
+
+            bodies[j + 1] = body;
+        }
+    };
+
+})();
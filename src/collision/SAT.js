@@ -1,10 +1,11 @@
 /**
 * The `Matter.SAT` module contains methods for detecting collisions using the Separating Axis Theorem.
+* Circles (parts with a `circleRadius`) are treated as true circles rather than by their polygon approximation.
 *
 * @class SAT
 */
 
-// TODO: true circles and curves
+// TODO: true curves
 
 var SAT = {};
 
@@ -17,6 +18,7 @@ var Vector = require('../geometry/Vector');
 
     /**
      * Detect collision between two bodies using the Separating Axis Theorem.
+     * If either body is a circle (i.e. has a `circleRadius`), its exact shape is used instead of its vertices.
      * @method collides
      * @param {body} bodyA
      * @param {body} bodyB
@@ -47,7 +49,16 @@ var Vector = require('../geometry/Vector');
             collision = { collided: false, bodyA: bodyA, bodyB: bodyB };
         }
 
-        if (previousCollision && canReusePrevCol) {
+        if (bodyA.circleRadius && bodyB.circleRadius) {
+            return SAT._collidesCircles(bodyA, bodyB, collision);
+        }
+
+        if (bodyA.circleRadius || bodyB.circleRadius) {
+            return bodyA.circleRadius ? SAT._collidesCirclePolygon(bodyA, bodyB, collision) 
+                : SAT._collidesCirclePolygon(bodyB, bodyA, collision);
+        }
+
+        if (previousCollision && canReusePrevCol && collision.axisBody) {
             // if we can reuse the collision result
             // we only need to test the previously found axis
             var axisBodyA = collision.axisBody,
@@ -150,6 +161,153 @@ var Vector = require('../geometry/Vector');
         return collision;
     };
 
+    /**
+     * Detect collision between two circles.
+     * @method _collidesCircles
+     * @private
+     * @param {body} circleA
+     * @param {body} circleB
+     * @param {collision} collision
+     * @return {collision} collision
+     */
+    SAT._collidesCircles = function(circleA, circleB, collision) {
+        var deltaX = circleA.position.x - circleB.position.x,
+            deltaY = circleA.position.y - circleB.position.y,
+            distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY),
+            depth = circleA.circleRadius + circleB.circleRadius - distance;
+
+        if (depth <= 0) {
+            collision.collided = false;
+            return collision;
+        }
+
+        // the direction that pushes circleA away from circleB
+        var direction = distance > 0 ? { x: deltaX / distance, y: deltaY / distance } : { x: 0, y: -1 };
+
+        return SAT._circleCollision(collision, circleA, circleB, direction, depth);
+    };
+
+    /**
+     * Detect collision between a circle and a convex polygon.
+     * @method _collidesCirclePolygon
+     * @private
+     * @param {body} circle
+     * @param {body} polygon
+     * @param {collision} collision
+     * @return {collision} collision
+     */
+    SAT._collidesCirclePolygon = function(circle, polygon, collision) {
+        var centre = circle.position,
+            radius = circle.circleRadius,
+            vertices = polygon.vertices,
+            nearestDistance = Infinity,
+            nearestX = 0,
+            nearestY = 0;
+
+        // find the nearest point on the polygon edges to the circle centre
+        for (var i = 0; i < vertices.length; i++) {
+            var vertex = vertices[i],
+                nextVertex = vertices[(i + 1) % vertices.length],
+                edgeX = nextVertex.x - vertex.x,
+                edgeY = nextVertex.y - vertex.y,
+                edgeLengthSquared = edgeX * edgeX + edgeY * edgeY,
+                t = edgeLengthSquared > 0 
+                    ? ((centre.x - vertex.x) * edgeX + (centre.y - vertex.y) * edgeY) / edgeLengthSquared : 0;
+
+            t = t < 0 ? 0 : (t > 1 ? 1 : t);
+
+            var pointX = vertex.x + edgeX * t,
+                pointY = vertex.y + edgeY * t,
+                distanceSquared = (centre.x - pointX) * (centre.x - pointX) + (centre.y - pointY) * (centre.y - pointY);
+
+            if (distanceSquared < nearestDistance) {
+                nearestDistance = distanceSquared;
+                nearestX = pointX;
+                nearestY = pointY;
+            }
+        }
+
+        var isInside = Vertices.contains(vertices, centre),
+            distance = Math.sqrt(nearestDistance),
+            direction;
+
+        if (!isInside && distance >= radius) {
+            collision.collided = false;
+            return collision;
+        }
+
+        // the direction that pushes the circle out of the polygon
+        if (distance > 0) {
+            direction = { x: (centre.x - nearestX) / distance, y: (centre.y - nearestY) / distance };
+
+            if (isInside) {
+                direction.x = -direction.x;
+                direction.y = -direction.y;
+            }
+        } else {
+            direction = Vector.normalise(Vector.sub(centre, polygon.position));
+
+            if (direction.x === 0 && direction.y === 0) {
+                direction.y = -1;
+            }
+        }
+
+        return SAT._circleCollision(collision, circle, polygon, direction, isInside ? radius + distance : radius - distance);
+    };
+
+    /**
+     * Completes a collision involving a circle, given the direction that pushes the circle away from the other body.
+     * The single contact point is placed at the middle of the overlap.
+     * @method _circleCollision
+     * @private
+     * @param {collision} collision
+     * @param {body} circle
+     * @param {body} other
+     * @param {vector} direction
+     * @param {number} depth
+     * @return {collision} collision
+     */
+    SAT._circleCollision = function(collision, circle, other, direction, depth) {
+        var bodyA = circle.id < other.id ? circle : other,
+            bodyB = circle.id < other.id ? other : circle,
+            sign = bodyA === circle ? 1 : -1,
+            contactDistance = circle.circleRadius - depth * 0.5;
+
+        collision.bodyA = bodyA;
+        collision.bodyB = bodyB;
+        collision.collided = true;
+        collision.depth = depth;
+        collision.parentA = bodyA.parent;
+        collision.parentB = bodyB.parent;
+        collision.axisBody = null;
+
+        // ensure normal is facing away from bodyA
+        collision.normal = {
+            x: direction.x * sign,
+            y: direction.y * sign
+        };
+
+        collision.tangent = Vector.perp(collision.normal);
+
+        collision.penetration = collision.penetration || {};
+        collision.penetration.x = collision.normal.x * depth;
+        collision.penetration.y = collision.normal.y * depth;
+
+        // a persistent vertex-like support, so contacts can be cached between updates
+        var support = collision.circleSupport;
+
+        if (!support || support.body !== bodyA) {
+            support = collision.circleSupport = { x: 0, y: 0, index: -1, body: bodyA, isInternal: false };
+        }
+
+        support.x = circle.position.x - direction.x * contactDistance;
+        support.y = circle.position.y - direction.y * contactDistance;
+
+        collision.supports = [support];
+
+        return collision;
+    };
+
     /**
      * Find the overlap between two sets of vertices.
      * @method _overlapAxes
@@ -0,0 +1,485 @@
+/**
+* The `Matter.Tree` module contains methods for creating and manipulating collision broadphase dynamic AABB trees.
+* A tree is an alternative to `Matter.Grid` that does not depend on a bucket size,
+* so it suits worlds with bodies of very different sizes or bodies spread over large (or unbounded) areas.
+*
+* Each body is stored as a leaf with slightly enlarged (fat) bounds, which is only reinserted once the body moves outside of it.
+*
+* @class Tree
+*/
+
+var Tree = {};
+
+module.exports = Tree;
+
+var Pair = require('./Pair');
+var Detector = require('./Detector');
+var Bounds = require('../geometry/Bounds');
+var Common = require('../core/Common');
+
+(function() {
+
+    /**
+     * Creates a new tree.
+     * @method create
+     * @param {} options
+     * @return {tree} A new tree
+     */
+    Tree.create = function(options) {
+        var defaults = {
+            controller: Tree,
+            detector: Detector.collisions,
+            root: null,
+            leaves: {},
+            pairs: {},
+            pairsList: [],
+            margin: 10
+        };
+
+        return Common.extend(defaults, options);
+    };
+
+    /**
+     * The distance that leaf bounds are enlarged by around each body.
+     * Larger values mean fewer reinsertions of moving bodies, but more candidate pairs.
+     *
+     * @property margin
+     * @type number
+     * @default 10
+     */
+
+    /**
+     * Updates the tree.
+     * @method update
+     * @param {tree} tree
+     * @param {body[]} bodies
+     * @param {engine} engine
+     * @param {boolean} forceUpdate
+     */
+    Tree.update = function(tree, bodies, engine, forceUpdate) {
+        var moved = [],
+            leaf,
+            i;
+
+        // @if DEBUG
+        var metrics = engine.metrics;
+        metrics.broadphaseTests = 0;
+        // @endif
+
+        for (i = 0; i < bodies.length; i++) {
+            var body = bodies[i];
+
+            if (body.isSleeping && !forceUpdate)
+                continue;
+
+            leaf = tree.leaves[body.id];
+
+            // reinsert only if the body has left its fat bounds
+            if (leaf && !forceUpdate && Tree._contains(leaf.bounds, body.bounds))
+                continue;
+
+            // @if DEBUG
+            metrics.broadphaseTests += 1;
+            // @endif
+
+            if (leaf) {
+                Tree._removeLeaf(tree, leaf);
+            } else {
+                leaf = tree.leaves[body.id] = Tree._createNode(body);
+            }
+
+            Tree._fatten(leaf.bounds, body.bounds, tree.margin);
+            Tree._insertLeaf(tree, leaf);
+            moved.push(leaf);
+        }
+
+        // update pairs only if any leaf moved
+        if (moved.length === 0)
+            return;
+
+        Tree._removeSeparatedPairs(tree);
+
+        for (i = 0; i < moved.length; i++) {
+            Tree._addLeafPairs(tree, moved[i]);
+        }
+
+        tree.pairsList = Tree._createActivePairsList(tree);
+    };
+
+    /**
+     * Clears the tree.
+     * @method clear
+     * @param {tree} tree
+     */
+    Tree.clear = function(tree) {
+        tree.root = null;
+        tree.leaves = {};
+        tree.pairs = {};
+        tree.pairsList = [];
+    };
+
+    /**
+     * Returns the bodies with leaf bounds that overlap the given bounds, as found by the last `Tree.update`.
+     * The result may contain bodies that do not overlap the bounds, but it contains no duplicates.
+     * Bodies are found by their leaf bounds at the last update, so bodies that have moved since may be missed or included.
+     * @method query
+     * @param {tree} tree
+     * @param {bounds} bounds
+     * @return {body[]} The candidate bodies
+     */
+    Tree.query = function(tree, bounds) {
+        var result = [],
+            stack = [],
+            node = tree.root;
+
+        while (node) {
+            if (Bounds.overlaps(node.bounds, bounds)) {
+                if (node.body) {
+                    result.push(node.body);
+                } else {
+                    stack.push(node.left, node.right);
+                }
+            }
+
+            node = stack.pop();
+        }
+
+        return result;
+    };
+
+    /**
+     * Creates a tree node, which is a leaf if a body is given.
+     * @method _createNode
+     * @private
+     * @param {body} [body]
+     * @return {} node
+     */
+    Tree._createNode = function(body) {
+        return {
+            bounds: { min: { x: 0, y: 0 }, max: { x: 0, y: 0 } },
+            parent: null,
+            left: null,
+            right: null,
+            body: body || null,
+            height: 0
+        };
+    };
+
+    /**
+     * Inserts a leaf into the tree, next to the sibling that least increases the total perimeter of the tree.
+     * @method _insertLeaf
+     * @private
+     * @param {tree} tree
+     * @param {} leaf
+     */
+    Tree._insertLeaf = function(tree, leaf) {
+        if (!tree.root) {
+            tree.root = leaf;
+            leaf.parent = null;
+            return;
+        }
+
+        var sibling = tree.root;
+
+        // descend to the best sibling
+        while (sibling.body === null) {
+            var perimeter = Tree._perimeter(sibling.bounds),
+                combinedPerimeter = Tree._unionPerimeter(sibling.bounds, leaf.bounds),
+                cost = 2 * combinedPerimeter,
+                inheritedCost = 2 * (combinedPerimeter - perimeter),
+                costLeft = Tree._descendCost(sibling.left, leaf) + inheritedCost,
+                costRight = Tree._descendCost(sibling.right, leaf) + inheritedCost;
+
+            if (cost < costLeft && cost < costRight)
+                break;
+
+            sibling = costLeft < costRight ? sibling.left : sibling.right;
+        }
+
+        // create a new parent for the sibling and the leaf
+        var oldParent = sibling.parent,
+            parent = Tree._createNode();
+
+        parent.parent = oldParent;
+        parent.left = sibling;
+        parent.right = leaf;
+        sibling.parent = parent;
+        leaf.parent = parent;
+
+        if (oldParent) {
+            if (oldParent.left === sibling) {
+                oldParent.left = parent;
+            } else {
+                oldParent.right = parent;
+            }
+        } else {
+            tree.root = parent;
+        }
+
+        Tree._refit(tree, parent);
+    };
+
+    /**
+     * Removes a leaf from the tree, replacing its parent with its sibling.
+     * @method _removeLeaf
+     * @private
+     * @param {tree} tree
+     * @param {} leaf
+     */
+    Tree._removeLeaf = function(tree, leaf) {
+        if (leaf === tree.root) {
+            tree.root = null;
+            return;
+        }
+
+        var parent = leaf.parent,
+            grandParent = parent.parent,
+            sibling = parent.left === leaf ? parent.right : parent.left;
+
+        leaf.parent = null;
+        sibling.parent = grandParent;
+
+        if (grandParent) {
+            if (grandParent.left === parent) {
+                grandParent.left = sibling;
+            } else {
+                grandParent.right = sibling;
+            }
+
+            Tree._refit(tree, grandParent);
+        } else {
+            tree.root = sibling;
+        }
+    };
+
+    /**
+     * Walks up the tree from the given node, balancing and updating the bounds and height of each ancestor.
+     * @method _refit
+     * @private
+     * @param {tree} tree
+     * @param {} node
+     */
+    Tree._refit = function(tree, node) {
+        while (node) {
+            node = Tree._balance(tree, node);
+            Tree._updateNode(node);
+            node = node.parent;
+        }
+    };
+
+    /**
+     * Performs a left or right rotation if the subtree at the given node is imbalanced.
+     * @method _balance
+     * @private
+     * @param {tree} tree
+     * @param {} node
+     * @return {} The new root of the subtree
+     */
+    Tree._balance = function(tree, node) {
+        if (node.body !== null || node.height < 2)
+            return node;
+
+        var left = node.left,
+            right = node.right,
+            balance = right.height - left.height;
+
+        if (balance > 1)
+            return Tree._rotate(tree, node, right, 'right');
+
+        if (balance < -1)
+            return Tree._rotate(tree, node, left, 'left');
+
+        return node;
+    };
+
+    /**
+     * Rotates `child` (on `side` of `node`) up to take the place of `node`.
+     * @method _rotate
+     * @private
+     * @param {tree} tree
+     * @param {} node
+     * @param {} child
+     * @param {string} side
+     * @return {} The new root of the subtree
+     */
+    Tree._rotate = function(tree, node, child, side) {
+        var childLeft = child.left,
+            childRight = child.right,
+            tall = childLeft.height > childRight.height ? childLeft : childRight,
+            short = tall === childLeft ? childRight : childLeft;
+
+        // move the child up
+        child.left = node;
+        child.parent = node.parent;
+        node.parent = child;
+
+        if (child.parent) {
+            if (child.parent.left === node) {
+                child.parent.left = child;
+            } else {
+                child.parent.right = child;
+            }
+        } else {
+            tree.root = child;
+        }
+
+        // keep the taller grandchild on the child, give the shorter one to the node
+        child.right = tall;
+        node[side] = short;
+        short.parent = node;
+
+        Tree._updateNode(node);
+        Tree._updateNode(child);
+
+        return child;
+    };
+
+    /**
+     * Updates the bounds and height of a branch node from its children.
+     * @method _updateNode
+     * @private
+     * @param {} node
+     */
+    Tree._updateNode = function(node) {
+        var left = node.left,
+            right = node.right;
+
+        if (!left)
+            return;
+
+        node.bounds.min.x = Math.min(left.bounds.min.x, right.bounds.min.x);
+        node.bounds.min.y = Math.min(left.bounds.min.y, right.bounds.min.y);
+        node.bounds.max.x = Math.max(left.bounds.max.x, right.bounds.max.x);
+        node.bounds.max.y = Math.max(left.bounds.max.y, right.bounds.max.y);
+        node.height = 1 + Math.max(left.height, right.height);
+    };
+
+    /**
+     * Removes pairs that no longer have overlapping leaf bounds.
+     * @method _removeSeparatedPairs
+     * @private
+     * @param {tree} tree
+     */
+    Tree._removeSeparatedPairs = function(tree) {
+        var pairKeys = Common.keys(tree.pairs);
+
+        for (var i = 0; i < pairKeys.length; i++) {
+            var pair = tree.pairs[pairKeys[i]],
+                leafA = tree.leaves[pair[0].id],
+                leafB = tree.leaves[pair[1].id];
+
+            if (!Bounds.overlaps(leafA.bounds, leafB.bounds))
+                delete tree.pairs[pairKeys[i]];
+        }
+    };
+
+    /**
+     * Adds pairs for all leaves that overlap the given leaf.
+     * @method _addLeafPairs
+     * @private
+     * @param {tree} tree
+     * @param {} leaf
+     */
+    Tree._addLeafPairs = function(tree, leaf) {
+        var body = leaf.body,
+            candidates = Tree.query(tree, leaf.bounds);
+
+        for (var i = 0; i < candidates.length; i++) {
+            var bodyB = candidates[i];
+
+            if (body.id === bodyB.id || (body.isStatic && bodyB.isStatic))
+                continue;
+
+            var pairId = Pair.id(body, bodyB);
+
+            if (!tree.pairs[pairId])
+                tree.pairs[pairId] = [body, bodyB, 1];
+        }
+    };
+
+    /**
+     * Generates a list of the active pairs in the tree.
+     * @method _createActivePairsList
+     * @private
+     * @param {tree} tree
+     * @return [] pairs
+     */
+    Tree._createActivePairsList = function(tree) {
+        var pairKeys = Common.keys(tree.pairs),
+            pairs = [];
+
+        for (var k = 0; k < pairKeys.length; k++) {
+            pairs.push(tree.pairs[pairKeys[k]]);
+        }
+
+        return pairs;
+    };
+
+    /**
+     * Sets `out` to the given bounds enlarged by a margin.
+     * @method _fatten
+     * @private
+     * @param {bounds} out
+     * @param {bounds} bounds
+     * @param {number} margin
+     */
+    Tree._fatten = function(out, bounds, margin) {
+        out.min.x = bounds.min.x - margin;
+        out.min.y = bounds.min.y - margin;
+        out.max.x = bounds.max.x + margin;
+        out.max.y = bounds.max.y + margin;
+    };
+
+    /**
+     * Returns `true` if `boundsB` is entirely inside `boundsA`.
+     * @method _contains
+     * @private
+     * @param {bounds} boundsA
+     * @param {bounds} boundsB
+     * @return {boolean} True if contained
+     */
+    Tree._contains = function(boundsA, boundsB) {
+        return boundsB.min.x >= boundsA.min.x && boundsB.max.x <= boundsA.max.x
+            && boundsB.min.y >= boundsA.min.y && boundsB.max.y <= boundsA.max.y;
+    };
+
+    /**
+     * Returns the cost of descending into `node` when inserting `leaf`, not including inherited cost.
+     * @method _descendCost
+     * @private
+     * @param {} node
+     * @param {} leaf
+     * @return {number} cost
+     */
+    Tree._descendCost = function(node, leaf) {
+        var combinedPerimeter = Tree._unionPerimeter(node.bounds, leaf.bounds);
+        return node.body !== null ? combinedPerimeter : combinedPerimeter - Tree._perimeter(node.bounds);
+    };
+
+    /**
+     * Returns the perimeter of the given bounds.
+     * @method _perimeter
+     * @private
+     * @param {bounds} bounds
+     * @return {number} perimeter
+     */
+    Tree._perimeter = function(bounds) {
+        return 2 * (bounds.max.x - bounds.min.x + bounds.max.y - bounds.min.y);
+    };
+
+    /**
+     * Returns the perimeter of the union of the given bounds.
+     * @method _unionPerimeter
+     * @private
+     * @param {bounds} boundsA
+     * @param {bounds} boundsB
+     * @return {number} perimeter
+     */
+    Tree._unionPerimeter = function(boundsA, boundsB) {
+        var width = Math.max(boundsA.max.x, boundsB.max.x) - Math.min(boundsA.min.x, boundsB.min.x),
+            height = Math.max(boundsA.max.y, boundsB.max.y) - Math.min(boundsA.min.y, boundsB.min.y);
+
+        return 2 * (width + height);
+    };
+
+})();
@@ -18,6 +18,7 @@ var Sleeping = require('../core/Sleeping');
 var Bounds = require('../geometry/Bounds');
 var Axes = require('../geometry/Axes');
 var Common = require('../core/Common');
+var Joint = require('./Joint');
 
 (function() {
 
@@ -28,7 +29,8 @@ var Common = require('../core/Common');
     /**
      * Creates a new constraint.
      * All properties have default values, and many are pre-calculated automatically based on other properties.
-     * To simulate a revolute constraint (or pin joint) set `length: 0` and a high `stiffness` value (e.g. `0.7` or above).
+     * To simulate a pin joint set `length: 0` and a high `stiffness` value (e.g. `0.7` or above),
+     * or see `Joint.revolute` for a hinge with angle limits and a motor.
      * If the constraint is unstable, try lowering the `stiffness` value and / or increasing `engine.constraintIterations`.
      * For compound bodies, constraints must be applied to the parent body (not one of its parts).
      * See the properties section below for detailed information on what you can pass via the `options` object.
@@ -61,6 +63,11 @@ var Common = require('../core/Common');
         constraint.angularStiffness = constraint.angularStiffness || 0;
         constraint.angleA = constraint.bodyA ? constraint.bodyA.angle : constraint.angleA;
         constraint.angleB = constraint.bodyB ? constraint.bodyB.angle : constraint.angleB;
+        constraint.breakForce = typeof constraint.breakForce !== 'undefined' ? constraint.breakForce : Infinity;
+        constraint.breakTorque = typeof constraint.breakTorque !== 'undefined' ? constraint.breakTorque : Infinity;
+        constraint.breakThreshold = typeof constraint.breakThreshold !== 'undefined' ? constraint.breakThreshold : Infinity;
+        constraint.impulse = { x: 0, y: 0, angle: 0 };
+        constraint.strain = 0;
         constraint.plugin = {};
 
         // render
@@ -105,8 +112,33 @@ var Common = require('../core/Common');
         }
     };
 
+    /**
+     * Resets the impulse and strain recorded by each constraint, ready for a new update.
+     * Constraints without an `impulse`, such as those created before it was recorded, are given one here.
+     * @private
+     * @method resetAll
+     * @param {constraint[]} constraints
+     */
+    Constraint.resetAll = function(constraints) {
+        for (var i = 0; i < constraints.length; i += 1) {
+            var constraint = constraints[i],
+                impulse = constraint.impulse;
+
+            if (!impulse) {
+                constraint.impulse = { x: 0, y: 0, angle: 0 };
+            } else {
+                impulse.x = 0;
+                impulse.y = 0;
+                impulse.angle = 0;
+            }
+
+            constraint.strain = 0;
+        }
+    };
+
     /**
      * Solves all constraints in a list of collisions.
+     * Joints are solved according to their type, see `Matter.Joint`.
      * @private
      * @method solveAll
      * @param {constraint[]} constraints
@@ -116,22 +148,22 @@ var Common = require('../core/Common');
         // Solve fixed constraints first.
         for (var i = 0; i < constraints.length; i += 1) {
             var constraint = constraints[i],
-                fixedA = !constraint.bodyA || (constraint.bodyA && constraint.bodyA.isStatic),
-                fixedB = !constraint.bodyB || (constraint.bodyB && constraint.bodyB.isStatic);
+                fixedA = !constraint.bodyA || (constraint.bodyA && (constraint.bodyA.isStatic || constraint.bodyA.isKinematic)),
+                fixedB = !constraint.bodyB || (constraint.bodyB && (constraint.bodyB.isStatic || constraint.bodyB.isKinematic));
 
             if (fixedA || fixedB) {
-                Constraint.solve(constraints[i], timeScale);
+                Joint.solve(constraints[i], timeScale);
             }
         }
 
         // Solve free constraints last.
         for (i = 0; i < constraints.length; i += 1) {
             constraint = constraints[i];
-            fixedA = !constraint.bodyA || (constraint.bodyA && constraint.bodyA.isStatic);
-            fixedB = !constraint.bodyB || (constraint.bodyB && constraint.bodyB.isStatic);
+            fixedA = !constraint.bodyA || (constraint.bodyA && (constraint.bodyA.isStatic || constraint.bodyA.isKinematic));
+            fixedB = !constraint.bodyB || (constraint.bodyB && (constraint.bodyB.isStatic || constraint.bodyB.isKinematic));
 
             if (!fixedA && !fixedB) {
-                Constraint.solve(constraints[i], timeScale);
+                Joint.solve(constraints[i], timeScale);
             }
         }
     };
@@ -181,9 +213,12 @@ var Common = require('../core/Common');
             currentLength = Constraint._minLength;
         }
 
+        // keep track of the furthest the constraint has been stretched or compressed
+        constraint.strain = Math.max(constraint.strain, Math.abs(currentLength - constraint.length));
+
         // solve distance constraint with Gauss-Siedel method
         var difference = (currentLength - constraint.length) / currentLength,
-            stiffness = constraint.stiffness < 1 ? constraint.stiffness * timeScale : constraint.stiffness,
+            stiffness = Constraint._stiffness(constraint.stiffness, timeScale),
             force = Vector.mult(delta, difference * stiffness),
             massTotal = (bodyA ? bodyA.inverseMass : 0) + (bodyB ? bodyB.inverseMass : 0),
             inertiaTotal = (bodyA ? bodyA.inverseInertia : 0) + (bodyB ? bodyB.inverseInertia : 0),
@@ -194,8 +229,13 @@ var Common = require('../core/Common');
             normalVelocity,
             relativeVelocity;
 
+        // keep track of the applied impulse for reporting and breaking
+        if (massTotal > 0)
+            Constraint._recordImpulse(constraint, force.x / massTotal, force.y / massTotal, 0);
+
         if (constraint.damping) {
-            var zero = Vector.create();
+            var zero = Vector.create(),
+                damping = Math.min(constraint.damping * timeScale, 1);
             normal = Vector.div(delta, currentLength);
 
             relativeVelocity = Vector.sub(
@@ -206,7 +246,7 @@ var Common = require('../core/Common');
             normalVelocity = Vector.dot(normal, relativeVelocity);
         }
 
-        if (bodyA && !bodyA.isStatic) {
+        if (bodyA && !bodyA.isStatic && !bodyA.isKinematic) {
             share = bodyA.inverseMass / massTotal;
 
             // keep track of applied impulses for post solving
@@ -219,8 +259,8 @@ var Common = require('../core/Common');
 
             // apply damping
             if (constraint.damping) {
-                bodyA.positionPrev.x -= constraint.damping * normal.x * normalVelocity * share;
-                bodyA.positionPrev.y -= constraint.damping * normal.y * normalVelocity * share;
+                bodyA.positionPrev.x -= damping * normal.x * normalVelocity * share;
+                bodyA.positionPrev.y -= damping * normal.y * normalVelocity * share;
             }
 
             // apply torque
@@ -229,7 +269,7 @@ var Common = require('../core/Common');
             bodyA.angle -= torque;
         }
 
-        if (bodyB && !bodyB.isStatic) {
+        if (bodyB && !bodyB.isStatic && !bodyB.isKinematic) {
             share = bodyB.inverseMass / massTotal;
 
             // keep track of applied impulses for post solving
@@ -242,8 +282,8 @@ var Common = require('../core/Common');
 
             // apply damping
             if (constraint.damping) {
-                bodyB.positionPrev.x += constraint.damping * normal.x * normalVelocity * share;
-                bodyB.positionPrev.y += constraint.damping * normal.y * normalVelocity * share;
+                bodyB.positionPrev.x += damping * normal.x * normalVelocity * share;
+                bodyB.positionPrev.y += damping * normal.y * normalVelocity * share;
             }
 
             // apply torque
@@ -254,6 +294,63 @@ var Common = require('../core/Common');
 
     };
 
+    /**
+     * Returns the fraction of its error that a constraint with the given stiffness corrects in a step of the given time scale.
+     * Soft constraints are scaled so that they act as springs of the same strength at any time step, while rigid constraints are unchanged.
+     * @private
+     * @method _stiffness
+     * @param {number} stiffness
+     * @param {number} timeScale
+     * @return {number} The stiffness for the step
+     */
+    Constraint._stiffness = function(stiffness, timeScale) {
+        return stiffness < 1 ? Math.min(stiffness * timeScale * timeScale, 1) : stiffness;
+    };
+
+    /**
+     * Adds to the impulse recorded by the constraint during the current update.
+     * Constraint warming applies part of the previous impulses before solving, which is accounted for here.
+     * @private
+     * @method _recordImpulse
+     * @param {constraint} constraint
+     * @param {number} x
+     * @param {number} y
+     * @param {number} angle
+     */
+    Constraint._recordImpulse = function(constraint, x, y, angle) {
+        var scale = 1 / (1 - Constraint._warming),
+            impulse = constraint.impulse;
+
+        impulse.x += x * scale;
+        impulse.y += y * scale;
+        impulse.angle += angle * scale;
+    };
+
+    /**
+     * Finds the constraints that have broken during the current update,
+     * those with a recorded force, torque or strain beyond their `breakForce`, `breakTorque` or `breakThreshold`.
+     * @private
+     * @method breakAll
+     * @param {constraint[]} constraints
+     * @param {number} deltaTime
+     * @return {constraint[]} The broken constraints
+     */
+    Constraint.breakAll = function(constraints, deltaTime) {
+        var deltaTimeSquared = deltaTime * deltaTime,
+            broken = [];
+
+        for (var i = 0; i < constraints.length; i += 1) {
+            var constraint = constraints[i],
+                force = Vector.magnitude(constraint.impulse) / deltaTimeSquared,
+                torque = Math.abs(constraint.impulse.angle) / deltaTimeSquared;
+
+            if (force > constraint.breakForce || torque > constraint.breakTorque || constraint.strain > constraint.breakThreshold)
+                broken.push(constraint);
+        }
+
+        return broken;
+    };
+
     /**
      * Performs body updates required after solving constraints.
      * @private
@@ -391,7 +488,7 @@ var Common = require('../core/Common');
 
     /**
      * A `String` that defines the constraint rendering type. 
-     * The possible values are 'line', 'pin', 'spring'.
+     * The possible values are 'line', 'pin', 'spring' and 'pulley' (which passes through `groundA` and `groundB`, see `Joint.pulley`).
      * An appropriate render type will be automatically chosen unless one is given in options.
      *
      * @property render.type
@@ -443,6 +540,7 @@ var Common = require('../core/Common');
      * A `Number` that specifies the stiffness of the constraint, i.e. the rate at which it returns to its resting `constraint.length`.
      * A value of `1` means the constraint should be very stiff.
      * A value of `0.2` means the constraint acts like a soft spring.
+     * The stiffness of a soft constraint is for an update of `1000 / 60` ms, and is scaled so that it acts as the same spring at any `delta`.
      *
      * @property stiffness
      * @type number
@@ -464,11 +562,61 @@ var Common = require('../core/Common');
     /**
      * A `Number` that specifies the target resting length of the constraint. 
      * It is calculated automatically in `Constraint.create` from initial positions of the `constraint.bodyA` and `constraint.bodyB`.
+     * For rope joints it is the maximum length, and for pulley joints the total length of rope (see `Matter.Joint`).
      *
      * @property length
      * @type number
      */
 
+    /**
+     * A `Number` that specifies the largest force the constraint may apply before it breaks, in the same units as `body.force`.
+     * A broken constraint is removed from the world, and the engine fires a `constraintBreak` event.
+     * The default of `Infinity` means the constraint never breaks.
+     *
+     * @property breakForce
+     * @type number
+     * @default Infinity
+     */
+
+    /**
+     * A `Number` that specifies the largest torque the constraint may apply before it breaks, in the same units as `body.torque`.
+     * Only joints that restrict rotation (see `Matter.Joint`) apply torques.
+     *
+     * @property breakTorque
+     * @type number
+     * @default Infinity
+     */
+
+    /**
+     * A `Number` that specifies the largest `strain` the constraint may reach before it breaks.
+     * For example, a weld joint with a `breakThreshold` of `5` breaks when its anchors are pulled more than `5` units apart.
+     *
+     * @property breakThreshold
+     * @type number
+     * @default Infinity
+     */
+
+    /**
+     * An object that records the impulse the constraint applied to `bodyB` during the last update, 
+     * with `x` and `y` linear components and an `angle` component.
+     * The equal and opposite impulse was applied to `bodyA`.
+     * The impulse is in units of mass times distance moved per update, so dividing it by the square of the update's delta time gives a force.
+     *
+     * @property impulse
+     * @type object
+     * @readOnly
+     */
+
+    /**
+     * A `Number` that records the largest error the constraint found while solving during the last update,
+     * such as how far its length was stretched or compressed.
+     *
+     * @property strain
+     * @type number
+     * @default 0
+     * @readOnly
+     */
+
     /**
      * An object reserved for storing plugin-specific properties.
      *
@@ -0,0 +1,888 @@
+/**
+* The `Matter.Joint` module contains methods for creating and solving joints.
+* Joints are constraints (see `Matter.Constraint`) that restrict how two bodies may move relative to each other,
+* beyond keeping a fixed distance between them. They can be added to composites and worlds like any other constraint.
+*
+* See the included usage [examples](https://github.com/liabru/matter-js/tree/master/examples).
+*
+* @class Joint
+*/
+
+var Joint = {};
+
+module.exports = Joint;
+
+var Constraint = require('./Constraint');
+var Vector = require('../geometry/Vector');
+var Sleeping = require('../core/Sleeping');
+var Common = require('../core/Common');
+
+(function() {
+
+    /**
+     * Creates a new revolute joint, a hinge that pins `pointA` on `bodyA` to `pointB` on `bodyB` and leaves them free to rotate.
+     * The relative rotation of the bodies may be kept within `lowerAngle` and `upperAngle` by setting `enableLimit`,
+     * and driven towards `motorSpeed` using at most `maxMotorTorque` by setting `enableMotor`.
+     * Either body may be omitted, in which case its point is a fixed world-space position.
+     * See the properties section below for detailed information on what you can pass via the `options` object.
+     * @method revolute
+     * @param {} options
+     * @return {constraint} A new revolute joint
+     */
+    Joint.revolute = function(options) {
+        var defaults = {
+            label: 'Revolute Joint',
+            length: 0,
+            stiffness: 1,
+            angularStiffness: 0,
+            enableLimit: false,
+            lowerAngle: 0,
+            upperAngle: 0,
+            enableMotor: false,
+            motorSpeed: 0,
+            maxMotorTorque: 0
+        };
+
+        var constraint = Constraint.create(Common.extend(defaults, false, options));
+
+        constraint.joint = 'revolute';
+
+        if (typeof constraint.referenceAngle === 'undefined')
+            constraint.referenceAngle = Joint.angle(constraint, 0);
+
+        return constraint;
+    };
+
+    /**
+     * Creates a new prismatic joint, a slider that lets `pointB` on `bodyB` move relative to `pointA` on `bodyA` only along `axis`,
+     * while keeping the relative angle of the bodies fixed.
+     * The translation along the axis may be kept within `lowerTranslation` and `upperTranslation` by setting `enableLimit`,
+     * and driven towards `motorSpeed` using at most `maxMotorForce` by setting `enableMotor`.
+     * Either body may be omitted, in which case its point is a fixed world-space position.
+     * See the properties section below for detailed information on what you can pass via the `options` object.
+     * @method prismatic
+     * @param {} options
+     * @return {constraint} A new prismatic joint
+     */
+    Joint.prismatic = function(options) {
+        var defaults = {
+            label: 'Prismatic Joint',
+            stiffness: 1,
+            axis: { x: 1, y: 0 },
+            enableLimit: false,
+            lowerTranslation: 0,
+            upperTranslation: 0,
+            enableMotor: false,
+            motorSpeed: 0,
+            maxMotorForce: 0
+        };
+
+        var constraint = Constraint.create(Common.extend(defaults, false, options));
+
+        constraint.joint = 'prismatic';
+        constraint.axis = Vector.normalise(constraint.axis);
+
+        if (typeof constraint.referenceAngle === 'undefined')
+            constraint.referenceAngle = Joint.angle(constraint, 0);
+
+        return constraint;
+    };
+
+    /**
+     * Creates a new weld joint, that rigidly locks the relative position and angle of `bodyA` and `bodyB`.
+     * The bodies are joined at `pointA` on `bodyA` (its centre by default), and `pointB` defaults to the same point on `bodyB`.
+     * A `stiffness` below `1` and a `damping` above `0` give a soft weld.
+     * Like any constraint, a weld may be made breakable using `breakThreshold`, `breakForce` or `breakTorque`.
+     * See the properties section below for detailed information on what you can pass via the `options` object.
+     * @method weld
+     * @param {} options
+     * @return {constraint} A new weld joint
+     */
+    Joint.weld = function(options) {
+        var defaults = {
+            label: 'Weld Joint',
+            length: 0,
+            stiffness: 1,
+            angularStiffness: 0
+        };
+
+        options = Common.extend(defaults, false, options);
+
+        // join the bodies at the same world-space point unless told otherwise
+        if (options.bodyB && !options.pointB) {
+            var pointA = options.pointA || { x: 0, y: 0 },
+                pointAWorld = options.bodyA ? Vector.add(options.bodyA.position, pointA) : pointA;
+
+            options.pointB = Vector.sub(pointAWorld, options.bodyB.position);
+        }
+
+        var constraint = Constraint.create(options);
+
+        constraint.joint = 'weld';
+
+        if (typeof constraint.referenceAngle === 'undefined')
+            constraint.referenceAngle = Joint.angle(constraint, 0);
+
+        return constraint;
+    };
+
+    /**
+     * Creates a new rope joint, that keeps `pointA` on `bodyA` and `pointB` on `bodyB` no further apart than `length`,
+     * but lets them move freely closer together.
+     * The `length` defaults to the initial distance between the points.
+     * See the properties section below for detailed information on what you can pass via the `options` object.
+     * @method rope
+     * @param {} options
+     * @return {constraint} A new rope joint
+     */
+    Joint.rope = function(options) {
+        var defaults = {
+            label: 'Rope Joint',
+            stiffness: 1
+        };
+
+        var constraint = Constraint.create(Common.extend(defaults, false, options));
+
+        constraint.joint = 'rope';
+
+        return constraint;
+    };
+
+    /**
+     * Creates a new pulley joint, that connects `pointA` on `bodyA` and `pointB` on `bodyB` by a rope running over
+     * the fixed world-space points `groundA` and `groundB`.
+     * The joint keeps `lengthA + ratio * lengthB` constant, where `lengthA` is the distance from `groundA` to `pointA`
+     * and `lengthB` the distance from `groundB` to `pointB`, so that pulling one side in lets the other side out.
+     * The `length` defaults to the initial value of `lengthA + ratio * lengthB`.
+     * If `groundA` or `groundB` is not given a warning is shown and it defaults to the initial world-space position of its point.
+     * See the properties section below for detailed information on what you can pass via the `options` object.
+     * @method pulley
+     * @param {} options
+     * @return {constraint} A new pulley joint
+     */
+    Joint.pulley = function(options) {
+        var defaults = {
+            label: 'Pulley Joint',
+            stiffness: 1,
+            ratio: 1
+        };
+
+        options = Common.extend(defaults, false, options);
+        options.render = Common.extend({ type: 'pulley' }, options.render);
+
+        var hasLength = typeof options.length !== 'undefined',
+            constraint = Constraint.create(options);
+
+        constraint.joint = 'pulley';
+
+        if (!constraint.groundA) {
+            Common.warn('Joint.pulley: options.groundA was undefined, defaulting to the world-space pointA');
+            constraint.groundA = Constraint.pointAWorld(constraint);
+        }
+
+        if (!constraint.groundB) {
+            Common.warn('Joint.pulley: options.groundB was undefined, defaulting to the world-space pointB');
+            constraint.groundB = Constraint.pointBWorld(constraint);
+        }
+
+        if (!hasLength) {
+            var lengths = Joint.pulleyLengths(constraint);
+            constraint.length = lengths.a + constraint.ratio * lengths.b;
+        }
+
+        return constraint;
+    };
+
+    /**
+     * Creates a new gear joint, that couples the rotation of `bodyA` and `bodyB` by keeping `angleA * ratio + angleB` constant.
+     * The joint only affects rotation, so it may be used alone or together with revolute joints (see `Joint.revolute`) that pin the bodies in place.
+     * For two meshing gears of radius `radiusA` and `radiusB` use a `ratio` of `radiusA / radiusB`, 
+     * and for a belt drive (where both turn the same way) use `-radiusA / radiusB`.
+     * See the properties section below for detailed information on what you can pass via the `options` object.
+     * @method gear
+     * @param {} options
+     * @return {constraint} A new gear joint
+     */
+    Joint.gear = function(options) {
+        var defaults = {
+            label: 'Gear Joint',
+            stiffness: 1,
+            ratio: 1
+        };
+
+        var constraint = Constraint.create(Common.extend(defaults, false, options));
+
+        constraint.joint = 'gear';
+
+        if (typeof constraint.referenceAngle === 'undefined')
+            constraint.referenceAngle = Joint._gearAngle(constraint);
+
+        return constraint;
+    };
+
+    /**
+     * Returns the current angle of `bodyB` relative to `bodyA`, less the joint's `referenceAngle`.
+     * A missing body counts as having an angle of `0`.
+     * @method angle
+     * @param {constraint} joint
+     * @param {number} [referenceAngle=joint.referenceAngle]
+     * @return {number} The joint angle in radians
+     */
+    Joint.angle = function(joint, referenceAngle) {
+        var angleA = joint.bodyA ? joint.bodyA.angle : 0,
+            angleB = joint.bodyB ? joint.bodyB.angle : 0;
+
+        referenceAngle = typeof referenceAngle !== 'undefined' ? referenceAngle : joint.referenceAngle;
+
+        return angleB - angleA - referenceAngle;
+    };
+
+    /**
+     * Returns the current angular speed of `bodyB` relative to `bodyA` (in radians per update).
+     * @method angularSpeed
+     * @param {constraint} joint
+     * @return {number} The relative angular speed
+     */
+    Joint.angularSpeed = function(joint) {
+        var bodyA = joint.bodyA,
+            bodyB = joint.bodyB,
+            speedA = bodyA ? bodyA.angle - bodyA.anglePrev : 0,
+            speedB = bodyB ? bodyB.angle - bodyB.anglePrev : 0;
+
+        return speedB - speedA;
+    };
+
+    /**
+     * Returns the current translation of `pointB` relative to `pointA` along the axis of a prismatic joint.
+     * @method translation
+     * @param {constraint} joint
+     * @return {number} The joint translation
+     */
+    Joint.translation = function(joint) {
+        var delta = Vector.sub(Constraint.pointBWorld(joint), Constraint.pointAWorld(joint));
+
+        return Vector.dot(delta, Joint._axisWorld(joint));
+    };
+
+    /**
+     * Returns the current speed of `bodyB` relative to `bodyA` along the axis of a prismatic joint (in units per update).
+     * @method translationSpeed
+     * @param {constraint} joint
+     * @return {number} The relative speed along the axis
+     */
+    Joint.translationSpeed = function(joint) {
+        var bodyA = joint.bodyA,
+            bodyB = joint.bodyB,
+            zero = Vector.create(),
+            velocityA = bodyA ? Vector.sub(bodyA.position, bodyA.positionPrev) : zero,
+            velocityB = bodyB ? Vector.sub(bodyB.position, bodyB.positionPrev) : zero;
+
+        return Vector.dot(Vector.sub(velocityB, velocityA), Joint._axisWorld(joint));
+    };
+
+    /**
+     * Returns the current lengths of rope on each side of a pulley joint,
+     * as `a`, the distance from `groundA` to `pointA`, and `b`, the distance from `groundB` to `pointB`.
+     * @method pulleyLengths
+     * @param {constraint} joint
+     * @return {} The lengths
+     */
+    Joint.pulleyLengths = function(joint) {
+        return {
+            a: Vector.magnitude(Vector.sub(Constraint.pointAWorld(joint), joint.groundA)),
+            b: Vector.magnitude(Vector.sub(Constraint.pointBWorld(joint), joint.groundB))
+        };
+    };
+
+    /**
+     * Applies the torques and forces of any enabled joint motors to their bodies, ready for integration.
+     * @private
+     * @method applyMotors
+     * @param {constraint[]} constraints
+     * @param {number} deltaTime
+     * @param {number} [correction=1]
+     */
+    Joint.applyMotors = function(constraints, deltaTime, correction) {
+        var deltaTimeSquared = deltaTime * deltaTime,
+            timeScale = deltaTime / Common._baseDelta;
+
+        correction = typeof correction !== 'undefined' ? correction : 1;
+
+        for (var i = 0; i < constraints.length; i++) {
+            var joint = constraints[i];
+
+            if (!joint.enableMotor)
+                continue;
+
+            if (joint.joint === 'revolute') {
+                Joint._applyRevoluteMotor(joint, deltaTimeSquared, timeScale, correction);
+            } else if (joint.joint === 'prismatic') {
+                Joint._applyPrismaticMotor(joint, deltaTimeSquared, timeScale, correction);
+            }
+        }
+    };
+
+    /**
+     * Solves a joint, dispatching on its type. Constraints that are not joints are solved as distance constraints.
+     * @private
+     * @method solve
+     * @param {constraint} constraint
+     * @param {number} timeScale
+     */
+    Joint.solve = function(constraint, timeScale) {
+        switch (constraint.joint) {
+        case 'revolute':
+            Constraint.solve(constraint, timeScale);
+
+            if (constraint.enableLimit)
+                Joint._solveAngleLimit(constraint, constraint.lowerAngle, constraint.upperAngle);
+
+            break;
+        case 'prismatic':
+            Joint._solvePrismatic(constraint, timeScale);
+            break;
+        case 'weld':
+            Joint._solveWeld(constraint, timeScale);
+            break;
+        case 'rope':
+            Joint._solveRope(constraint, timeScale);
+            break;
+        case 'pulley':
+            Joint._solvePulley(constraint, timeScale);
+            break;
+        case 'gear':
+            Joint._solveGear(constraint, timeScale);
+            break;
+        default:
+            Constraint.solve(constraint, timeScale);
+        }
+    };
+
+    /**
+     * Applies the torque needed to bring the joint's relative angular speed to `motorSpeed` over the next update,
+     * taking into account forces already applied, limited to `maxMotorTorque`.
+     * @private
+     * @method _applyRevoluteMotor
+     * @param {constraint} joint
+     * @param {number} deltaTimeSquared
+     * @param {number} timeScale
+     * @param {number} correction
+     */
+    Joint._applyRevoluteMotor = function(joint, deltaTimeSquared, timeScale, correction) {
+        var bodyA = joint.bodyA && !joint.bodyA.isStatic ? joint.bodyA : null,
+            bodyB = joint.bodyB && !joint.bodyB.isStatic ? joint.bodyB : null,
+            inertiaTotal = (bodyA ? bodyA.inverseInertia : 0) + (bodyB ? bodyB.inverseInertia : 0);
+
+        if (inertiaTotal === 0)
+            return;
+
+        var velocityA = Joint._predictVelocity(bodyA, deltaTimeSquared, timeScale, correction),
+            velocityB = Joint._predictVelocity(bodyB, deltaTimeSquared, timeScale, correction),
+            speed = velocityB.angle - velocityA.angle,
+            torque = (joint.motorSpeed * timeScale - speed) / (inertiaTotal * deltaTimeSquared);
+
+        torque = Common.clamp(torque, -joint.maxMotorTorque, joint.maxMotorTorque);
+
+        if (torque === 0)
+            return;
+
+        if (bodyA) {
+            Sleeping.set(bodyA, false);
+            bodyA.torque -= torque;
+        }
+
+        if (bodyB) {
+            Sleeping.set(bodyB, false);
+            bodyB.torque += torque;
+        }
+    };
+
+    /**
+     * Applies the force needed to bring the joint's relative speed along its axis to `motorSpeed` over the next update,
+     * taking into account forces already applied, limited to `maxMotorForce`.
+     * @private
+     * @method _applyPrismaticMotor
+     * @param {constraint} joint
+     * @param {number} deltaTimeSquared
+     * @param {number} timeScale
+     * @param {number} correction
+     */
+    Joint._applyPrismaticMotor = function(joint, deltaTimeSquared, timeScale, correction) {
+        var bodyA = joint.bodyA && !joint.bodyA.isStatic ? joint.bodyA : null,
+            bodyB = joint.bodyB && !joint.bodyB.isStatic ? joint.bodyB : null,
+            massTotal = (bodyA ? bodyA.inverseMass : 0) + (bodyB ? bodyB.inverseMass : 0);
+
+        if (massTotal === 0)
+            return;
+
+        var axis = Joint._axisWorld(joint),
+            velocityA = Joint._predictVelocity(bodyA, deltaTimeSquared, timeScale, correction),
+            velocityB = Joint._predictVelocity(bodyB, deltaTimeSquared, timeScale, correction),
+            speed = Vector.dot(Vector.sub(velocityB, velocityA), axis),
+            force = (joint.motorSpeed * timeScale - speed) / (massTotal * deltaTimeSquared);
+
+        force = Common.clamp(force, -joint.maxMotorForce, joint.maxMotorForce);
+
+        if (force === 0)
+            return;
+
+        if (bodyA) {
+            Sleeping.set(bodyA, false);
+            bodyA.force.x -= axis.x * force;
+            bodyA.force.y -= axis.y * force;
+        }
+
+        if (bodyB) {
+            Sleeping.set(bodyB, false);
+            bodyB.force.x += axis.x * force;
+            bodyB.force.y += axis.y * force;
+        }
+    };
+
+    /**
+     * Returns the velocity a body will have after its next integration, from its current velocity and the forces applied so far.
+     * Missing and static bodies have no velocity.
+     * @private
+     * @method _predictVelocity
+     * @param {?body} body
+     * @param {number} deltaTimeSquared
+     * @param {number} timeScale
+     * @param {number} correction
+     * @return {} The predicted velocity, with `x`, `y` and `angle` components
+     */
+    Joint._predictVelocity = function(body, deltaTimeSquared, timeScale, correction) {
+        if (!body)
+            return { x: 0, y: 0, angle: 0 };
+
+        var scale = (body.isKinematic ? 1 : 1 - body.frictionAir * timeScale) * correction;
+
+        return {
+            x: (body.position.x - body.positionPrev.x) * scale + body.force.x / body.mass * deltaTimeSquared,
+            y: (body.position.y - body.positionPrev.y) * scale + body.force.y / body.mass * deltaTimeSquared,
+            angle: (body.angle - body.anglePrev) * scale + body.torque / body.inertia * deltaTimeSquared
+        };
+    };
+
+    /**
+     * Solves a prismatic joint, by locking the relative angle of its bodies
+     * and moving them so that `pointB` lies on the axis through `pointA`, within any translation limits.
+     * @private
+     * @method _solvePrismatic
+     * @param {constraint} joint
+     * @param {number} timeScale
+     */
+    Joint._solvePrismatic = function(joint, timeScale) {
+        var bodyA = joint.bodyA && !joint.bodyA.isStatic ? joint.bodyA : null,
+            bodyB = joint.bodyB && !joint.bodyB.isStatic ? joint.bodyB : null,
+            massTotal = (bodyA ? bodyA.inverseMass : 0) + (bodyB ? bodyB.inverseMass : 0);
+
+        if (massTotal === 0)
+            return;
+
+        Joint._solveAngleLimit(joint, 0, 0);
+        Joint._updatePoints(joint);
+
+        var axis = joint.axis,
+            normal = Vector.perp(axis),
+            delta = Vector.sub(Constraint.pointBWorld(joint), Constraint.pointAWorld(joint)),
+            translation = Vector.dot(delta, axis),
+            stiffness = Constraint._stiffness(joint.stiffness, timeScale),
+            correction = Vector.mult(normal, -Vector.dot(delta, normal)),
+            limit = 0;
+
+        if (joint.enableLimit) {
+            if (translation < joint.lowerTranslation) {
+                limit = joint.lowerTranslation - translation;
+            } else if (translation > joint.upperTranslation) {
+                limit = joint.upperTranslation - translation;
+            }
+
+            correction = Vector.add(correction, Vector.mult(axis, limit));
+        }
+
+        joint.strain = Math.max(joint.strain, Vector.magnitude(correction));
+        correction = Vector.mult(correction, stiffness / massTotal);
+
+        // keep track of the applied impulse for reporting and breaking
+        Constraint._recordImpulse(joint, correction.x, correction.y, 0);
+
+        if (bodyA)
+            Joint._translate(bodyA, Vector.mult(correction, -bodyA.inverseMass));
+
+        if (bodyB)
+            Joint._translate(bodyB, Vector.mult(correction, bodyB.inverseMass));
+    };
+
+    /**
+     * Solves a weld joint, by joining its anchors and locking the relative angle of its bodies.
+     * @private
+     * @method _solveWeld
+     * @param {constraint} joint
+     * @param {number} timeScale
+     */
+    Joint._solveWeld = function(joint, timeScale) {
+        Constraint.solve(joint, timeScale);
+        Joint._solveAngleLimit(joint, 0, 0, Math.min(Constraint._stiffness(joint.stiffness, timeScale), 1));
+    };
+
+    /**
+     * Solves a rope joint, as a distance constraint only while the rope is taut.
+     * @private
+     * @method _solveRope
+     * @param {constraint} joint
+     * @param {number} timeScale
+     */
+    Joint._solveRope = function(joint, timeScale) {
+        Joint._updatePoints(joint);
+
+        var distance = Vector.magnitude(Vector.sub(Constraint.pointAWorld(joint), Constraint.pointBWorld(joint)));
+
+        if (distance > joint.length)
+            Constraint.solve(joint, timeScale);
+    };
+
+    /**
+     * Solves a pulley joint, by moving and rotating its bodies along the rope on each side
+     * so that `lengthA + ratio * lengthB` returns to `length`.
+     * @private
+     * @method _solvePulley
+     * @param {constraint} joint
+     * @param {number} timeScale
+     */
+    Joint._solvePulley = function(joint, timeScale) {
+        var bodyA = joint.bodyA && !joint.bodyA.isStatic ? joint.bodyA : null,
+            bodyB = joint.bodyB && !joint.bodyB.isStatic ? joint.bodyB : null,
+            ratio = joint.ratio;
+
+        Joint._updatePoints(joint);
+
+        var ropeA = Vector.sub(Constraint.pointAWorld(joint), joint.groundA),
+            ropeB = Vector.sub(Constraint.pointBWorld(joint), joint.groundB),
+            lengthA = Vector.magnitude(ropeA),
+            lengthB = Vector.magnitude(ropeB);
+
+        // prevent singularity
+        if (lengthA < Constraint._minLength || lengthB < Constraint._minLength)
+            return;
+
+        var normalA = Vector.div(ropeA, lengthA),
+            normalB = Vector.div(ropeB, lengthB),
+            crossA = bodyA ? Vector.cross(joint.pointA, normalA) : 0,
+            crossB = bodyB ? Vector.cross(joint.pointB, normalB) : 0,
+            resistanceA = bodyA ? bodyA.inverseMass + bodyA.inverseInertia * crossA * crossA : 0,
+            resistanceB = bodyB ? bodyB.inverseMass + bodyB.inverseInertia * crossB * crossB : 0,
+            resistanceTotal = resistanceA + ratio * ratio * resistanceB,
+            error = lengthA + ratio * lengthB - joint.length,
+            stiffness = Constraint._stiffness(joint.stiffness, timeScale);
+
+        joint.strain = Math.max(joint.strain, Math.abs(error));
+
+        if (resistanceTotal === 0)
+            return;
+
+        // the impulse pulling both ends of the rope towards their ground points
+        var impulse = error * stiffness / resistanceTotal;
+
+        if (bodyA) {
+            Joint._translate(bodyA, Vector.mult(normalA, -impulse * bodyA.inverseMass));
+            Joint._rotate(bodyA, -impulse * crossA * bodyA.inverseInertia);
+        }
+
+        if (bodyB) {
+            Joint._translate(bodyB, Vector.mult(normalB, -impulse * ratio * bodyB.inverseMass));
+            Joint._rotate(bodyB, -impulse * ratio * crossB * bodyB.inverseInertia);
+        }
+
+        // keep track of the applied impulse for reporting and breaking
+        Constraint._recordImpulse(joint, -normalB.x * impulse * ratio, -normalB.y * impulse * ratio, 0);
+    };
+
+    /**
+     * Solves a gear joint, by rotating its bodies so that `angleA * ratio + angleB` returns to `referenceAngle`.
+     * @private
+     * @method _solveGear
+     * @param {constraint} joint
+     * @param {number} timeScale
+     */
+    Joint._solveGear = function(joint, timeScale) {
+        var bodyA = joint.bodyA && !joint.bodyA.isStatic ? joint.bodyA : null,
+            bodyB = joint.bodyB && !joint.bodyB.isStatic ? joint.bodyB : null,
+            ratio = joint.ratio,
+            resistanceTotal = (bodyA ? ratio * ratio * bodyA.inverseInertia : 0) + (bodyB ? bodyB.inverseInertia : 0),
+            error = Joint._gearAngle(joint) - joint.referenceAngle,
+            stiffness = Constraint._stiffness(joint.stiffness, timeScale);
+
+        joint.strain = Math.max(joint.strain, Math.abs(error));
+
+        if (error === 0 || resistanceTotal === 0)
+            return;
+
+        var impulse = error * stiffness / resistanceTotal;
+
+        if (bodyA)
+            Joint._rotate(bodyA, -impulse * ratio * bodyA.inverseInertia);
+
+        if (bodyB)
+            Joint._rotate(bodyB, -impulse * bodyB.inverseInertia);
+
+        // keep track of the applied impulse for reporting and breaking
+        Constraint._recordImpulse(joint, 0, 0, -impulse);
+    };
+
+    /**
+     * Returns the current value of `angleA * ratio + angleB` for a gear joint.
+     * A missing body counts as having an angle of `0`.
+     * @private
+     * @method _gearAngle
+     * @param {constraint} joint
+     * @return {number} The combined angle
+     */
+    Joint._gearAngle = function(joint) {
+        var angleA = joint.bodyA ? joint.bodyA.angle : 0,
+            angleB = joint.bodyB ? joint.bodyB.angle : 0;
+
+        return angleA * joint.ratio + angleB;
+    };
+
+    /**
+     * Rotates the joint's points (and axis, if any) to follow the rotation of their bodies since the last solve.
+     * @private
+     * @method _updatePoints
+     * @param {constraint} joint
+     */
+    Joint._updatePoints = function(joint) {
+        var bodyA = joint.bodyA,
+            bodyB = joint.bodyB;
+
+        if (bodyA && !bodyA.isStatic) {
+            if (joint.axis)
+                Vector.rotate(joint.axis, bodyA.angle - joint.angleA, joint.axis);
+
+            Vector.rotate(joint.pointA, bodyA.angle - joint.angleA, joint.pointA);
+            joint.angleA = bodyA.angle;
+        }
+
+        if (bodyB && !bodyB.isStatic) {
+            Vector.rotate(joint.pointB, bodyB.angle - joint.angleB, joint.pointB);
+            joint.angleB = bodyB.angle;
+        }
+    };
+
+    /**
+     * Returns the joint's axis in world space, following any rotation of `bodyA` since the last solve.
+     * @private
+     * @method _axisWorld
+     * @param {constraint} joint
+     * @return {vector} The axis
+     */
+    Joint._axisWorld = function(joint) {
+        var bodyA = joint.bodyA;
+
+        if (!bodyA || bodyA.isStatic)
+            return joint.axis;
+
+        return Vector.rotate(joint.axis, bodyA.angle - joint.angleA);
+    };
+
+    /**
+     * Rotates the joint's bodies so that the joint angle lies within the given limits.
+     * @private
+     * @method _solveAngleLimit
+     * @param {constraint} joint
+     * @param {number} lowerAngle
+     * @param {number} upperAngle
+     * @param {number} [stiffness=1]
+     */
+    Joint._solveAngleLimit = function(joint, lowerAngle, upperAngle, stiffness) {
+        var bodyA = joint.bodyA && !joint.bodyA.isStatic ? joint.bodyA : null,
+            bodyB = joint.bodyB && !joint.bodyB.isStatic ? joint.bodyB : null,
+            inertiaTotal = (bodyA ? bodyA.inverseInertia : 0) + (bodyB ? bodyB.inverseInertia : 0),
+            angle = Joint.angle(joint),
+            correction = 0;
+
+        if (angle < lowerAngle) {
+            correction = lowerAngle - angle;
+        } else if (angle > upperAngle) {
+            correction = upperAngle - angle;
+        }
+
+        if (correction === 0 || inertiaTotal === 0)
+            return;
+
+        correction *= typeof stiffness !== 'undefined' ? stiffness : 1;
+
+        // keep track of the applied impulse for reporting and breaking
+        Constraint._recordImpulse(joint, 0, 0, correction / inertiaTotal);
+
+        if (bodyA)
+            Joint._rotate(bodyA, -correction * bodyA.inverseInertia / inertiaTotal);
+
+        if (bodyB)
+            Joint._rotate(bodyB, correction * bodyB.inverseInertia / inertiaTotal);
+    };
+
+    /**
+     * Rotates a body while solving, keeping track of the applied impulse for post solving.
+     * @private
+     * @method _rotate
+     * @param {body} body
+     * @param {number} angle
+     */
+    Joint._rotate = function(body, angle) {
+        body.constraintImpulse.angle += angle;
+        body.angle += angle;
+    };
+
+    /**
+     * Translates a body while solving, keeping track of the applied impulse for post solving.
+     * @private
+     * @method _translate
+     * @param {body} body
+     * @param {vector} translation
+     */
+    Joint._translate = function(body, translation) {
+        body.constraintImpulse.x += translation.x;
+        body.constraintImpulse.y += translation.y;
+        body.position.x += translation.x;
+        body.position.y += translation.y;
+    };
+
+    /*
+    *
+    *  Properties Documentation
+    *
+    */
+
+    /**
+     * A `String` denoting the type of joint, or `undefined` for plain distance constraints.
+     * The possible values are `'revolute'`, `'prismatic'`, `'weld'`, `'rope'`, `'pulley'` and `'gear'`.
+     *
+     * @property joint
+     * @type string
+     * @readOnly
+     */
+
+    /**
+     * A `Number` that specifies the relative angle of the bodies (`bodyB.angle - bodyA.angle`) at which the joint angle is zero.
+     * Defaults to the relative angle of the bodies when the joint was created.
+     * Prismatic and weld joints hold the bodies at this relative angle.
+     * For gear joints it is instead the value of `bodyA.angle * ratio + bodyB.angle` that the joint keeps.
+     *
+     * @property referenceAngle
+     * @type number
+     */
+
+    /**
+     * A flag that indicates if the joint angle is kept within `lowerAngle` and `upperAngle`,
+     * or for prismatic joints if the translation is kept within `lowerTranslation` and `upperTranslation`.
+     *
+     * @property enableLimit
+     * @type boolean
+     * @default false
+     */
+
+    /**
+     * A `Vector` that specifies the direction a prismatic joint's bodies may move along, in world space.
+     * It rotates along with `bodyA`, and is normalised when the joint is created.
+     *
+     * @property axis
+     * @type vector
+     * @default { x: 1, y: 0 }
+     */
+
+    /**
+     * A `Number` that specifies the lowest joint angle allowed when `enableLimit` is set (in radians).
+     *
+     * @property lowerAngle
+     * @type number
+     * @default 0
+     */
+
+    /**
+     * A `Number` that specifies the highest joint angle allowed when `enableLimit` is set (in radians).
+     *
+     * @property upperAngle
+     * @type number
+     * @default 0
+     */
+
+    /**
+     * A `Number` that specifies the lowest translation of a prismatic joint allowed when `enableLimit` is set.
+     * The translation is the distance of `pointB` from `pointA` along `axis`.
+     *
+     * @property lowerTranslation
+     * @type number
+     * @default 0
+     */
+
+    /**
+     * A `Number` that specifies the highest translation of a prismatic joint allowed when `enableLimit` is set.
+     *
+     * @property upperTranslation
+     * @type number
+     * @default 0
+     */
+
+    /**
+     * A flag that indicates if the joint motor is enabled.
+     *
+     * @property enableMotor
+     * @type boolean
+     * @default false
+     */
+
+    /**
+     * A `Number` that specifies the speed the motor drives `bodyB` at relative to `bodyA`,
+     * in radians for revolute joints or along `axis` in units for prismatic joints, per `1000 / 60` ms of simulated time (i.e. per update at 60Hz).
+     * It is scaled to the `delta` of each update, so the motor turns at the same rate at any update rate.
+     * A motor with a `motorSpeed` of `0` acts as a brake.
+     *
+     * @property motorSpeed
+     * @type number
+     * @default 0
+     */
+
+    /**
+     * A `Number` that specifies the largest torque the motor may apply to reach `motorSpeed`, in the same units as `body.torque`.
+     *
+     * @property maxMotorTorque
+     * @type number
+     * @default 0
+     */
+
+    /**
+     * A `Number` that specifies the largest force a prismatic joint's motor may apply to reach `motorSpeed`,
+     * in the same units as `body.force`.
+     *
+     * @property maxMotorForce
+     * @type number
+     * @default 0
+     */
+
+    /**
+     * A `Vector` that specifies the fixed world-space point the rope from `pointA` of a pulley joint runs over.
+     *
+     * @property groundA
+     * @type vector
+     */
+
+    /**
+     * A `Vector` that specifies the fixed world-space point the rope from `pointB` of a pulley joint runs over.
+     *
+     * @property groundB
+     * @type vector
+     */
+
+    /**
+     * A `Number` that specifies the ratio of a pulley joint, as it keeps `lengthA + ratio * lengthB` constant.
+     * For each unit of rope pulled in on the `bodyB` side, `ratio` units are let out on the `bodyA` side,
+     * so bodies balance when the mass of `bodyB` is `ratio` times the mass of `bodyA`.
+     * For gear joints it specifies the ratio of the rotation of the bodies, as a gear joint keeps `angleA * ratio + angleB` constant,
+     * so that `bodyB` turns `-ratio` times as fast as `bodyA`.
+     *
+     * @property ratio
+     * @type number
+     * @default 1
+     */
+
+})();
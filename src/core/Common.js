@@ -13,6 +13,7 @@ module.exports = Common;
     Common._nextId = 0;
     Common._seed = 0;
     Common._nowStartTime = +(new Date());
+    Common._baseDelta = 1000 / 60;
 
     /**
      * Extends the object in the first argument using the object in the second argument.
@@ -283,11 +284,22 @@ module.exports = Common;
     };
 
     var _seededRandom = function() {
-        // https://en.wikipedia.org/wiki/Linear_congruential_generator
-        Common._seed = (Common._seed * 9301 + 49297) % 233280;
+        Common._seed = Common._nextSeed(Common._seed);
         return Common._seed / 233280;
     };
 
+    /**
+     * Returns the next state of the seeded random generator after the given state.
+     * @method _nextSeed
+     * @private
+     * @param {number} seed
+     * @return {number} The next seed
+     */
+    Common._nextSeed = function(seed) {
+        // https://en.wikipedia.org/wiki/Linear_congruential_generator
+        return (seed * 9301 + 49297) % 233280;
+    };
+
     /**
      * Converts a CSS hex colour string into an integer.
      * @method colorToNumber
@@ -17,13 +17,17 @@ var Sleeping = require('./Sleeping');
 var Resolver = require('../collision/Resolver');
 var Render = require('../render/Render');
 var Pairs = require('../collision/Pairs');
+var Pair = require('../collision/Pair');
 var Metrics = require('./Metrics');
 var Grid = require('../collision/Grid');
+var CCD = require('../collision/CCD');
 var Events = require('./Events');
 var Composite = require('../body/Composite');
 var Constraint = require('../constraint/Constraint');
+var Joint = require('../constraint/Joint');
 var Common = require('./Common');
 var Body = require('../body/Body');
+var Vector = require('../geometry/Vector');
 
 (function() {
 
@@ -49,20 +53,26 @@ var Body = require('../body/Body');
             positionIterations: 6,
             velocityIterations: 4,
             constraintIterations: 2,
+            substeps: 1,
             enableSleeping: false,
+            enableCCD: false,
+            deterministic: false,
+            seed: 0,
             events: [],
             plugin: {},
             timing: {
                 timestamp: 0,
-                timeScale: 1
-            },
-            broadphase: {
-                controller: Grid
+                timeScale: 1,
+                fixedDelta: 1000 / 60,
+                lastDelta: 0
             }
         };
 
         var engine = Common.extend(defaults, options);
 
+        // broadphase options are extended separately, as a deep extend would copy one controller module onto another
+        engine.broadphase = Common.extend({ controller: Grid }, false, options.broadphase);
+
         // @deprecated
         if (element || engine.render) {
             var renderDefaults = {
@@ -100,19 +110,35 @@ var Body = require('../body/Body');
      * The `correction` argument is an optional `Number` that specifies the time correction factor to apply to the update.
      * This can help improve the accuracy of the simulation in cases where `delta` is changing between updates.
      * The value of `correction` is defined as `delta / lastDelta`, i.e. the percentage change of `delta` over the last step.
-     * Therefore the value is always `1` (no correction) when `delta` constant (or when no correction is desired, which is the default).
+     * Therefore the value is always `1` (no correction) when `delta` constant.
+     * If it is not given, it is found from `engine.timing.lastDelta` (see `engine.timing.lastDelta`).
      * See the paper on <a href="http://lonesock.net/article/verlet.html">Time Corrected Verlet</a> for more information.
      *
+     * Gravity, air friction, collision resolution, constraints and motors are all scaled by `delta`,
+     * so that a scene updated at any rate follows approximately the same trajectories over the same simulated time.
+     * Note that body velocities are always in units of the current `delta`, i.e. the distance moved over one update.
+     *
      * Triggers `beforeUpdate` and `afterUpdate` events.
      * Triggers `collisionStart`, `collisionActive` and `collisionEnd` events.
+     * Triggers `preSolve` and `postSolve` events.
+     * Triggers `constraintBreak` events.
+     *
+     * If `engine.substeps` is greater than `1`, the update is divided into that many substeps (see `engine.substeps`).
+     *
+     * If `engine.deterministic` is set, the `delta` and `correction` arguments are ignored
+     * and `engine.timing.fixedDelta` is always used instead (see `engine.deterministic`).
      * @method update
      * @param {engine} engine
      * @param {number} [delta=16.666]
-     * @param {number} [correction=1]
+     * @param {number} [correction=delta / engine.timing.lastDelta]
      */
     Engine.update = function(engine, delta, correction) {
-        delta = delta || 1000 / 60;
-        correction = correction || 1;
+        delta = delta || Common._baseDelta;
+
+        if (engine.deterministic) {
+            delta = engine.timing.fixedDelta;
+            correction = 1;
+        }
 
         var world = engine.world,
             timing = engine.timing,
@@ -120,12 +146,20 @@ var Body = require('../body/Body');
             broadphasePairs = [],
             i;
 
+        // by default, correct velocities for any change in the delta since the last update (changes in timeScale are not corrected)
+        if (typeof correction === 'undefined')
+            correction = timing.lastDelta > 0 ? delta / timing.lastDelta : 1;
+
+        // solvers are tuned for the base delta, so are scaled by the fraction of it that each update covers
+        var updateScale = timing.timeScale * delta / Common._baseDelta;
+
         // increment timestamp
         timing.timestamp += delta * timing.timeScale;
 
         // create an event object
         var event = {
-            timestamp: timing.timestamp
+            timestamp: timing.timestamp,
+            correction: correction
         };
 
         Events.trigger(engine, 'beforeUpdate', event);
@@ -141,83 +175,196 @@ var Body = require('../body/Body');
 
         // if sleeping enabled, call the sleeping controller
         if (engine.enableSleeping)
-            Sleeping.update(allBodies, timing.timeScale);
+            Sleeping.update(allBodies, updateScale);
 
         // applies gravity to all bodies
         Engine._bodiesApplyGravity(allBodies, world.gravity);
 
-        // update all body position and rotation by integration
-        Engine._bodiesUpdate(allBodies, delta, timing.timeScale, correction, world.bounds);
-
-        // update all constraints (first pass)
-        Constraint.preSolveAll(allBodies);
-        for (i = 0; i < engine.constraintIterations; i++) {
-            Constraint.solveAll(allConstraints, timing.timeScale);
+        // applies the torques of joint motors
+        Joint.applyMotors(allConstraints, delta * timing.timeScale, correction);
+
+        // each substep is an update over a fraction of the delta, where body velocities are for the substep
+        // collisions correct a fraction of their penetration in each substep, which can be no more than all of it
+        var substeps = Math.max(engine.substeps, 1),
+            timeScale = updateScale / substeps,
+            positionScale = Math.min(timeScale, 1),
+            pairs = engine.pairs,
+            timestamp = timing.timestamp,
+            wasActive = {},
+            collided = {},
+            started = {},
+            ended = {},
+            collisionStart,
+            collisionActive,
+            collisionEnd = [],
+            pair,
+            j;
+
+        // track the pairs active before the update, so that collision events are triggered once per update
+        for (i = 0; i < pairs.list.length; i++) {
+            if (pairs.list[i].isActive && !pairs.list[i].isPassingThrough)
+                wasActive[pairs.list[i].id] = true;
         }
-        Constraint.postSolveAll(allBodies);
 
-        // broadphase pass: find potential collision pairs
-        if (broadphase.controller) {
-            // if world is dirty, we must flush the whole grid
-            if (world.isModified)
-                broadphase.controller.clear(broadphase);
+        for (var step = 0; step < substeps; step++) {
+            // update all body position and rotation by integration, scaling velocities to the substep
+            Engine._bodiesUpdate(allBodies, delta / substeps, timing.timeScale, step === 0 ? correction / substeps : 1, world.bounds);
 
-            // update the grid buckets based on current bodies
-            broadphase.controller.update(broadphase, allBodies, engine, world.isModified);
-            broadphasePairs = broadphase.pairsList;
-        } else {
-            // if no broadphase set, we just pass all bodies
-            broadphasePairs = allBodies;
-        }
+            // update all constraints (first pass)
+            Constraint.resetAll(allConstraints);
+            Constraint.preSolveAll(allBodies);
+            for (i = 0; i < engine.constraintIterations; i++) {
+                Constraint.solveAll(allConstraints, timeScale);
+            }
+            Constraint.postSolveAll(allBodies);
+
+            // continuous collision detection: move fast bodies back to their first impact
+            CCD.update(allBodies, engine.enableCCD, engine);
+
+            // broadphase pass: find potential collision pairs
+            if (broadphase.controller) {
+                // if world is dirty, we must flush the whole grid
+                if (world.isModified)
+                    broadphase.controller.clear(broadphase);
+
+                // update the grid buckets based on current bodies
+                broadphase.controller.update(broadphase, allBodies, engine, world.isModified);
+                broadphasePairs = broadphase.pairsList;
+            } else {
+                // if no broadphase set, we just pass all bodies
+                broadphasePairs = allBodies;
+            }
 
-        // clear all composite modified flags
-        if (world.isModified) {
-            Composite.setModified(world, false, false, true);
-        }
+            // in deterministic mode, test (and so resolve) pairs in an order that does not depend on broadphase history
+            if (engine.deterministic && broadphase.controller)
+                broadphasePairs = Engine._sortPairs(broadphasePairs, allBodies);
+
+            // clear all composite modified flags
+            if (world.isModified) {
+                Composite.setModified(world, false, false, true);
+            }
 
-        // narrowphase pass: find actual collisions, then create or update collision pairs
-        var collisions = broadphase.detector(broadphasePairs, engine);
+            // narrowphase pass: find actual collisions, then create or update collision pairs
+            var collisions = broadphase.detector(broadphasePairs, engine);
 
-        // update collision pairs
-        var pairs = engine.pairs,
-            timestamp = timing.timestamp;
-        Pairs.update(pairs, collisions, timestamp);
-        Pairs.removeOld(pairs, timestamp);
+            // update collision pairs
+            Pairs.update(pairs, collisions, timestamp);
+            Pairs.removeOld(pairs, timestamp);
 
-        // wake up bodies involved in collisions
-        if (engine.enableSleeping)
-            Sleeping.afterCollisions(pairs.list, timing.timeScale);
+            // in deterministic mode, resolve pairs in an order that does not depend on when they started colliding
+            if (engine.deterministic)
+                Engine._sortPairsList(pairs.list, allBodies);
+
+            // wake up bodies involved in collisions
+            if (engine.enableSleeping)
+                Sleeping.afterCollisions(pairs.list, updateScale);
+
+            // trigger collision events for pairs that were not already colliding in this update
+            collisionStart = [];
+
+            for (j = 0; j < pairs.collisionActive.length; j++) {
+                collided[pairs.collisionActive[j].id] = pairs.collisionActive[j];
+            }
+
+            for (j = 0; j < pairs.collisionStart.length; j++) {
+                pair = pairs.collisionStart[j];
+                collided[pair.id] = pair;
+
+                if (!wasActive[pair.id] && !started[pair.id] && !pair.isPassingThrough) {
+                    started[pair.id] = true;
+                    collisionStart.push(pair);
+                }
+            }
+
+            if (collisionStart.length > 0)
+                Events.trigger(engine, 'collisionStart', { pairs: collisionStart });
+
+            // let handlers modify or disable the active pairs before they are resolved
+            var activePairs = Engine._collidingPairs(pairs.collisionStart.concat(pairs.collisionActive));
+
+            if (activePairs.length > 0)
+                Events.trigger(engine, 'preSolve', { pairs: activePairs });
+
+            // iteratively resolve position between collisions
+            Resolver.preSolvePosition(pairs.list);
+            for (i = 0; i < engine.positionIterations; i++) {
+                Resolver.solvePosition(pairs.list, positionScale);
+            }
+            Resolver.postSolvePosition(allBodies);
+
+            // update all constraints (second pass)
+            Constraint.preSolveAll(allBodies);
+            for (i = 0; i < engine.constraintIterations; i++) {
+                Constraint.solveAll(allConstraints, timeScale);
+            }
+            Constraint.postSolveAll(allBodies);
 
-        // trigger collision events
-        if (pairs.collisionStart.length > 0)
-            Events.trigger(engine, 'collisionStart', { pairs: pairs.collisionStart });
+            // remove constraints that broke during this update
+            var brokenConstraints = Constraint.breakAll(allConstraints, delta * timing.timeScale / substeps);
 
-        // iteratively resolve position between collisions
-        Resolver.preSolvePosition(pairs.list);
-        for (i = 0; i < engine.positionIterations; i++) {
-            Resolver.solvePosition(pairs.list, timing.timeScale);
+            if (brokenConstraints.length > 0) {
+                Composite.remove(world, brokenConstraints, true);
+                allConstraints = Composite.allConstraints(world);
+                Events.trigger(engine, 'constraintBreak', { constraints: brokenConstraints });
+            }
+
+            // iteratively resolve velocity between collisions
+            Resolver.preSolveVelocity(pairs.list);
+            for (i = 0; i < engine.velocityIterations; i++) {
+                Resolver.solveVelocity(pairs.list, timeScale);
+            }
+            Resolver.postSolveVelocity(pairs.list);
+
+            // let handlers read the impulses that resolved the active pairs
+            if (activePairs.length > 0)
+                Events.trigger(engine, 'postSolve', { pairs: activePairs });
+
+            // gather the pairs that stopped colliding in any substep
+            for (j = 0; j < pairs.collisionEnd.length; j++) {
+                pair = pairs.collisionEnd[j];
+
+                if (!ended[pair.id] && !pair.isPassingThrough) {
+                    ended[pair.id] = true;
+                    collisionEnd.push(pair);
+                }
+            }
         }
-        Resolver.postSolvePosition(allBodies);
 
-        // update all constraints (second pass)
-        Constraint.preSolveAll(allBodies);
-        for (i = 0; i < engine.constraintIterations; i++) {
-            Constraint.solveAll(allConstraints, timing.timeScale);
+        // scale body velocities back from the last substep to the whole update
+        if (substeps > 1)
+            Engine._bodiesScaleVelocity(allBodies, substeps);
+
+        // pairs that collided in any substep stay active until the next update, so that contacts resting across substeps do not end and start again
+        var reactivated = [];
+
+        for (var id in collided) {
+            pair = collided[id];
+
+            if (!pair.isActive) {
+                Pair.setActive(pair, true, timestamp);
+                reactivated.push(pair);
+            }
         }
-        Constraint.postSolveAll(allBodies);
 
-        // iteratively resolve velocity between collisions
-        Resolver.preSolveVelocity(pairs.list);
-        for (i = 0; i < engine.velocityIterations; i++) {
-            Resolver.solveVelocity(pairs.list, timing.timeScale);
+        // trigger collision events for pairs colliding since before the update, and pairs no longer colliding
+        collisionActive = [];
+
+        activePairs = Engine._collidingPairs(pairs.collisionActive.concat(pairs.collisionStart, reactivated));
+
+        for (j = 0; j < activePairs.length; j++) {
+            if (!started[activePairs[j].id])
+                collisionActive.push(activePairs[j]);
         }
 
-        // trigger collision events
-        if (pairs.collisionActive.length > 0)
-            Events.trigger(engine, 'collisionActive', { pairs: pairs.collisionActive });
+        collisionEnd = collisionEnd.filter(function(pair) {
+            return !pair.isActive;
+        });
+
+        if (collisionActive.length > 0)
+            Events.trigger(engine, 'collisionActive', { pairs: collisionActive });
 
-        if (pairs.collisionEnd.length > 0)
-            Events.trigger(engine, 'collisionEnd', { pairs: pairs.collisionEnd });
+        if (collisionEnd.length > 0)
+            Events.trigger(engine, 'collisionEnd', { pairs: collisionEnd });
 
         // @if DEBUG
         // update metrics log
@@ -227,6 +374,8 @@ var Body = require('../body/Body');
         // clear force buffers
         Engine._bodiesClearForces(allBodies);
 
+        timing.lastDelta = delta;
+
         Events.trigger(engine, 'afterUpdate', event);
 
         return engine;
@@ -274,6 +423,489 @@ var Body = require('../body/Body');
         }
     };
 
+    /**
+     * Captures the current dynamic state of the engine, so that it can later be returned to using `Engine.restore`.
+     * This includes body transforms, velocities, forces, impulses and sleep state, constraint points, angles, axes and impulses,
+     * collision pairs with their contact impulses and impulse summaries, the timing timestamp and `engine.seed`.
+     * Intended for rollback, so to avoid allocations a previous snapshot may be passed in to be reused.
+     * A snapshot only stores the state of the objects in the world, so the world must contain the same bodies
+     * and constraints (in the same order) when it is restored.
+     * @method snapshot
+     * @param {engine} engine
+     * @param {object} [snapshot] A previous snapshot to reuse
+     * @return {object} The snapshot
+     */
+    Engine.snapshot = function(engine, snapshot) {
+        var bodies = Composite.allBodies(engine.world),
+            constraints = Composite.allConstraints(engine.world),
+            pairsList = engine.pairs.list,
+            values,
+            refs,
+            i;
+
+        snapshot = snapshot || { values: [], refs: [] };
+        values = snapshot.values;
+        refs = snapshot.refs;
+        values.length = 0;
+        refs.length = 0;
+
+        snapshot.timestamp = engine.timing.timestamp;
+        snapshot.lastDelta = engine.timing.lastDelta;
+        snapshot.seed = engine.seed;
+
+        for (i = 0; i < bodies.length; i++) {
+            Engine._snapshotBody(bodies[i], values);
+        }
+
+        for (i = 0; i < constraints.length; i++) {
+            var constraint = constraints[i];
+
+            // points rotate with their bodies
+            values.push(
+                constraint.pointA.x, constraint.pointA.y, constraint.angleA,
+                constraint.pointB.x, constraint.pointB.y, constraint.angleB
+            );
+
+            // as do the axes of prismatic joints
+            if (constraint.axis)
+                values.push(constraint.axis.x, constraint.axis.y);
+
+            values.push(constraint.impulse.x, constraint.impulse.y, constraint.impulse.angle, constraint.strain);
+        }
+
+        values.push(pairsList.length);
+
+        for (i = 0; i < pairsList.length; i++) {
+            Engine._snapshotPair(pairsList[i], values, refs);
+        }
+
+        return snapshot;
+    };
+
+    /**
+     * Returns the engine to the state captured by `Engine.snapshot`.
+     * The broadphase is rebuilt on the next update, so for results identical to the original updates
+     * `engine.deterministic` should be set.
+     * @method restore
+     * @param {engine} engine
+     * @param {object} snapshot
+     */
+    Engine.restore = function(engine, snapshot) {
+        var bodies = Composite.allBodies(engine.world),
+            constraints = Composite.allConstraints(engine.world),
+            pairs = engine.pairs,
+            values = snapshot.values,
+            refs = snapshot.refs,
+            cursor = { value: 0, ref: 0 },
+            i;
+
+        engine.timing.timestamp = snapshot.timestamp;
+        engine.timing.lastDelta = snapshot.lastDelta;
+        engine.seed = snapshot.seed;
+
+        for (i = 0; i < bodies.length; i++) {
+            Engine._restoreBody(bodies[i], values, cursor);
+        }
+
+        for (i = 0; i < constraints.length; i++) {
+            var constraint = constraints[i];
+
+            constraint.pointA.x = values[cursor.value++];
+            constraint.pointA.y = values[cursor.value++];
+            constraint.angleA = values[cursor.value++];
+            constraint.pointB.x = values[cursor.value++];
+            constraint.pointB.y = values[cursor.value++];
+            constraint.angleB = values[cursor.value++];
+
+            if (constraint.axis) {
+                constraint.axis.x = values[cursor.value++];
+                constraint.axis.y = values[cursor.value++];
+            }
+
+            constraint.impulse.x = values[cursor.value++];
+            constraint.impulse.y = values[cursor.value++];
+            constraint.impulse.angle = values[cursor.value++];
+            constraint.strain = values[cursor.value++];
+        }
+
+        var pairsCount = values[cursor.value++];
+
+        pairs.table = {};
+        pairs.list.length = 0;
+        pairs.collisionStart.length = 0;
+        pairs.collisionActive.length = 0;
+        pairs.collisionEnd.length = 0;
+
+        for (i = 0; i < pairsCount; i++) {
+            var pair = Engine._restorePair(values, refs, cursor);
+            pairs.table[pair.id] = pair;
+            pairs.list.push(pair);
+        }
+
+        // body positions have changed, so the broadphase must be rebuilt
+        Composite.setModified(engine.world, true, false, false);
+    };
+
+    /**
+     * Returns a random value between a minimum and a maximum value inclusive, using the seeded generator of the engine.
+     * Unlike `Common.random`, the sequence only depends on `engine.seed`, so it may be used for gameplay in deterministic simulations.
+     * @method random
+     * @param {engine} engine
+     * @param {number} [min=0]
+     * @param {number} [max=1]
+     * @return {number} A random number between min and max inclusive
+     */
+    Engine.random = function(engine, min, max) {
+        min = (typeof min !== "undefined") ? min : 0;
+        max = (typeof max !== "undefined") ? max : 1;
+        engine.seed = Common._nextSeed(engine.seed);
+        return min + (engine.seed / 233280) * (max - min);
+    };
+
+    /**
+     * Returns the pairs that are not passing through a one-way body (see `pair.isPassingThrough`),
+     * as these are ignored by the resolver and so are left out of collision events.
+     * @method _collidingPairs
+     * @private
+     * @param {pair[]} pairs
+     * @return {pair[]} The pairs that are colliding
+     */
+    Engine._collidingPairs = function(pairs) {
+        var colliding = [];
+
+        for (var i = 0; i < pairs.length; i++) {
+            if (!pairs[i].isPassingThrough)
+                colliding.push(pairs[i]);
+        }
+
+        return colliding;
+    };
+
+    /**
+     * Sorts broadphase pairs by the order of their bodies in `bodies`, with the earlier body of each pair first.
+     * @method _sortPairs
+     * @private
+     * @param {array} pairs
+     * @param {body[]} bodies
+     * @return {array} A sorted copy of the pairs
+     */
+    Engine._sortPairs = function(pairs, bodies) {
+        var order = {},
+            sorted = [],
+            i;
+
+        for (i = 0; i < bodies.length; i++) {
+            order[bodies[i].id] = i;
+        }
+
+        // the narrowphase depends on which body is first
+        for (i = 0; i < pairs.length; i++) {
+            var pair = pairs[i];
+
+            if (order[pair[0].id] > order[pair[1].id]) {
+                sorted.push([pair[1], pair[0], pair[2]]);
+            } else {
+                sorted.push(pair);
+            }
+        }
+
+        sorted.sort(function(pairA, pairB) {
+            var first = order[pairA[0].id] - order[pairB[0].id];
+            return first !== 0 ? first : order[pairA[1].id] - order[pairB[1].id];
+        });
+
+        return sorted;
+    };
+
+    /**
+     * Sorts collision pairs in place by the order of their parent bodies in `bodies`, then by the order of their parts.
+     * @method _sortPairsList
+     * @private
+     * @param {pair[]} pairs
+     * @param {body[]} bodies
+     */
+    Engine._sortPairsList = function(pairs, bodies) {
+        var order = {},
+            keys = {},
+            i;
+
+        for (i = 0; i < bodies.length; i++) {
+            order[bodies[i].id] = i;
+        }
+
+        // part ids depend on creation history, so parts are ordered by their index in their parent
+        for (i = 0; i < pairs.length; i++) {
+            var pair = pairs[i],
+                parentA = pair.collision.parentA,
+                parentB = pair.collision.parentB,
+                key = [
+                    order[parentA.id], order[parentB.id],
+                    parentA.parts.indexOf(pair.bodyA), parentB.parts.indexOf(pair.bodyB)
+                ];
+
+            keys[pair.id] = key[0] < key[1] ? key : [key[1], key[0], key[3], key[2]];
+        }
+
+        pairs.sort(function(pairA, pairB) {
+            var keyA = keys[pairA.id],
+                keyB = keys[pairB.id];
+
+            for (var k = 0; k < keyA.length; k++) {
+                if (keyA[k] !== keyB[k])
+                    return keyA[k] - keyB[k];
+            }
+
+            return 0;
+        });
+    };
+
+    /**
+     * Appends the dynamic state of a body and its parts to `values`.
+     * @method _snapshotBody
+     * @private
+     * @param {body} body
+     * @param {array} values
+     */
+    Engine._snapshotBody = function(body, values) {
+        values.push(
+            body.positionPrev.x, body.positionPrev.y, body.anglePrev,
+            body.velocity.x, body.velocity.y, body.angularVelocity, body.speed, body.angularSpeed,
+            body.force.x, body.force.y, body.torque,
+            body.positionImpulse.x, body.positionImpulse.y,
+            body.constraintImpulse.x, body.constraintImpulse.y, body.constraintImpulse.angle,
+            body.totalContacts, body.motion, body.sleepCounter, body.isSleeping
+        );
+
+        // the first part is the body itself
+        for (var i = 0; i < body.parts.length; i++) {
+            var part = body.parts[i],
+                vertices = part.vertices,
+                axes = part.axes,
+                j;
+
+            values.push(
+                part.position.x, part.position.y, part.angle,
+                part.bounds.min.x, part.bounds.min.y, part.bounds.max.x, part.bounds.max.y
+            );
+
+            for (j = 0; j < vertices.length; j++) {
+                values.push(vertices[j].x, vertices[j].y);
+            }
+
+            for (j = 0; j < axes.length; j++) {
+                values.push(axes[j].x, axes[j].y);
+            }
+        }
+    };
+
+    /**
+     * Restores the dynamic state of a body and its parts from `values`, starting at `cursor.value`.
+     * @method _restoreBody
+     * @private
+     * @param {body} body
+     * @param {array} values
+     * @param {object} cursor
+     */
+    Engine._restoreBody = function(body, values, cursor) {
+        var v = cursor.value;
+
+        body.positionPrev.x = values[v++];
+        body.positionPrev.y = values[v++];
+        body.anglePrev = values[v++];
+        body.velocity.x = values[v++];
+        body.velocity.y = values[v++];
+        body.angularVelocity = values[v++];
+        body.speed = values[v++];
+        body.angularSpeed = values[v++];
+        body.force.x = values[v++];
+        body.force.y = values[v++];
+        body.torque = values[v++];
+        body.positionImpulse.x = values[v++];
+        body.positionImpulse.y = values[v++];
+        body.constraintImpulse.x = values[v++];
+        body.constraintImpulse.y = values[v++];
+        body.constraintImpulse.angle = values[v++];
+        body.totalContacts = values[v++];
+        body.motion = values[v++];
+        body.sleepCounter = values[v++];
+        body.isSleeping = values[v++];
+
+        for (var i = 0; i < body.parts.length; i++) {
+            var part = body.parts[i],
+                vertices = part.vertices,
+                axes = part.axes,
+                j;
+
+            part.position.x = values[v++];
+            part.position.y = values[v++];
+            part.angle = values[v++];
+            part.bounds.min.x = values[v++];
+            part.bounds.min.y = values[v++];
+            part.bounds.max.x = values[v++];
+            part.bounds.max.y = values[v++];
+
+            for (j = 0; j < vertices.length; j++) {
+                vertices[j].x = values[v++];
+                vertices[j].y = values[v++];
+            }
+
+            for (j = 0; j < axes.length; j++) {
+                axes[j].x = values[v++];
+                axes[j].y = values[v++];
+            }
+        }
+
+        cursor.value = v;
+    };
+
+    /**
+     * Appends the state of a pair, its collision and its contacts to `values` and `refs`.
+     * @method _snapshotPair
+     * @private
+     * @param {pair} pair
+     * @param {array} values
+     * @param {array} refs
+     */
+    Engine._snapshotPair = function(pair, values, refs) {
+        var collision = pair.collision,
+            circleSupport = collision.circleSupport,
+            contacts = pair.contacts,
+            activeContacts = pair.activeContacts,
+            countIndex,
+            id,
+            i;
+
+        refs.push(pair, collision, collision.axisBody, collision.supports);
+
+        values.push(
+            pair.isActive, pair.confirmedActive, pair.separation, pair.timeUpdated,
+            pair.inverseMass, pair.friction, pair.frictionStatic, pair.restitution, pair.slop,
+            pair.isEnabled, pair.isPassingThrough, pair.surfaceVelocity,
+            collision.collided, collision.reused, collision.depth, collision.axisNumber,
+            collision.normal.x, collision.normal.y, collision.tangent.x, collision.tangent.y,
+            collision.penetration.x, collision.penetration.y,
+            circleSupport ? circleSupport.x : 0, circleSupport ? circleSupport.y : 0
+        );
+
+        countIndex = values.length;
+        values.push(0);
+
+        for (id in contacts) {
+            var contact = contacts[id];
+            refs.push(contact, contact.vertex);
+            values.push(contact.normalImpulse, contact.tangentImpulse);
+            values[countIndex] += 1;
+        }
+
+        values.push(activeContacts.length);
+
+        for (i = 0; i < activeContacts.length; i++) {
+            refs.push(activeContacts[i]);
+        }
+
+        values.push(pair.approachSpeed, pair.totalNormalImpulse, pair.maxNormalImpulse, pair.totalTangentImpulse);
+
+        for (i = 0; i < activeContacts.length; i++) {
+            var contactPoint = pair.contactPoints[i];
+            values.push(contactPoint.x, contactPoint.y, contactPoint.normalImpulse, contactPoint.tangentImpulse);
+        }
+    };
+
+    /**
+     * Restores the state of a pair, its collision and its contacts from `values` and `refs`, starting at `cursor`.
+     * @method _restorePair
+     * @private
+     * @param {array} values
+     * @param {array} refs
+     * @param {object} cursor
+     * @return {pair} The restored pair
+     */
+    Engine._restorePair = function(values, refs, cursor) {
+        var v = cursor.value,
+            r = cursor.ref,
+            pair = refs[r++],
+            collision = pair.collision = refs[r++],
+            contacts = pair.contacts,
+            activeContacts = pair.activeContacts,
+            count,
+            id,
+            i;
+
+        collision.axisBody = refs[r++];
+        collision.supports = refs[r++];
+
+        pair.isActive = values[v++];
+        pair.confirmedActive = values[v++];
+        pair.separation = values[v++];
+        pair.timeUpdated = values[v++];
+        pair.inverseMass = values[v++];
+        pair.friction = values[v++];
+        pair.frictionStatic = values[v++];
+        pair.restitution = values[v++];
+        pair.slop = values[v++];
+        pair.isEnabled = values[v++];
+        pair.isPassingThrough = values[v++];
+        pair.surfaceVelocity = values[v++];
+        collision.collided = values[v++];
+        collision.reused = values[v++];
+        collision.depth = values[v++];
+        collision.axisNumber = values[v++];
+        collision.normal.x = values[v++];
+        collision.normal.y = values[v++];
+        collision.tangent.x = values[v++];
+        collision.tangent.y = values[v++];
+        collision.penetration.x = values[v++];
+        collision.penetration.y = values[v++];
+
+        if (collision.circleSupport) {
+            collision.circleSupport.x = values[v++];
+            collision.circleSupport.y = values[v++];
+        } else {
+            v += 2;
+        }
+
+        // remove any contacts created since the snapshot
+        for (id in contacts) {
+            delete contacts[id];
+        }
+
+        count = values[v++];
+
+        for (i = 0; i < count; i++) {
+            var contact = refs[r++];
+            contact.vertex = refs[r++];
+            contact.normalImpulse = values[v++];
+            contact.tangentImpulse = values[v++];
+            contacts[contact.id] = contact;
+        }
+
+        count = values[v++];
+        activeContacts.length = 0;
+
+        for (i = 0; i < count; i++) {
+            activeContacts.push(refs[r++]);
+        }
+
+        pair.approachSpeed = values[v++];
+        pair.totalNormalImpulse = values[v++];
+        pair.maxNormalImpulse = values[v++];
+        pair.totalTangentImpulse = values[v++];
+        pair.contactPoints.length = count;
+
+        for (i = 0; i < count; i++) {
+            var contactPoint = pair.contactPoints[i] || (pair.contactPoints[i] = {});
+            contactPoint.x = values[v++];
+            contactPoint.y = values[v++];
+            contactPoint.normalImpulse = values[v++];
+            contactPoint.tangentImpulse = values[v++];
+        }
+
+        cursor.value = v;
+        cursor.ref = r;
+
+        return pair;
+    };
+
     /**
      * Zeroes the `body.force` and `body.torque` force buffers.
      * @method _bodiesClearForces
@@ -291,6 +923,33 @@ var Body = require('../body/Body');
         }
     };
 
+    /**
+     * Scales the velocity of all given bodies that are free to move, keeping their positions.
+     * Used to return velocities from the last substep of an update (see `engine.substeps`) to the whole update.
+     * @method _bodiesScaleVelocity
+     * @private
+     * @param {body[]} bodies
+     * @param {number} scale
+     */
+    Engine._bodiesScaleVelocity = function(bodies, scale) {
+        for (var i = 0; i < bodies.length; i++) {
+            var body = bodies[i];
+
+            if (body.isStatic || body.isSleeping)
+                continue;
+
+            body.positionPrev.x = body.position.x - (body.position.x - body.positionPrev.x) * scale;
+            body.positionPrev.y = body.position.y - (body.position.y - body.positionPrev.y) * scale;
+            body.anglePrev = body.angle - (body.angle - body.anglePrev) * scale;
+
+            body.velocity.x *= scale;
+            body.velocity.y *= scale;
+            body.angularVelocity *= scale;
+            body.speed *= scale;
+            body.angularSpeed *= scale;
+        }
+    };
+
     /**
      * Applys a mass dependant force to all given bodies.
      * @method _bodiesApplyGravity
@@ -308,7 +967,7 @@ var Body = require('../body/Body');
         for (var i = 0; i < bodies.length; i++) {
             var body = bodies[i];
 
-            if (body.isStatic || body.isSleeping)
+            if (body.isStatic || body.isKinematic || body.isSleeping)
                 continue;
 
             // apply gravity
@@ -352,6 +1011,7 @@ var Body = require('../body/Body');
     * @event beforeUpdate
     * @param {} event An event object
     * @param {number} event.timestamp The engine.timing.timestamp of the event
+    * @param {number} event.correction The correction that body velocities will be scaled by in this update
     * @param {} event.source The source object of the event
     * @param {} event.name The name of the event
     */
@@ -399,6 +1059,41 @@ var Body = require('../body/Body');
     * @param {} event.name The name of the event
     */
 
+    /**
+    * Fired during engine update before collisions are resolved, provides a list of all pairs that are colliding in the current tick.
+    * Handlers may set `pair.isEnabled` to `false` to ignore a pair for the current tick,
+    * or override its `friction`, `frictionStatic`, `restitution`, `slop` or `surfaceVelocity`.
+    * Changes only last for the current tick, as pairs are updated from their bodies on every tick.
+    *
+    * @event preSolve
+    * @param {} event An event object
+    * @param {} event.pairs List of affected pairs
+    * @param {} event.source The source object of the event
+    * @param {} event.name The name of the event
+    */
+
+    /**
+    * Fired during engine update after collisions are resolved, provides a list of all pairs that are colliding in the current tick.
+    * The impulses that resolved each pair are available (see `pair.totalNormalImpulse`).
+    *
+    * @event postSolve
+    * @param {} event An event object
+    * @param {} event.pairs List of affected pairs
+    * @param {} event.source The source object of the event
+    * @param {} event.name The name of the event
+    */
+
+    /**
+    * Fired during engine update, provides a list of all constraints that have broken in the current tick (if any).
+    * Broken constraints have already been removed from the world.
+    *
+    * @event constraintBreak
+    * @param {} event An event object
+    * @param {} event.constraints List of broken constraints
+    * @param {} event.source The source object of the event
+    * @param {} event.name The name of the event
+    */
+
     /*
     *
     *  Properties Documentation
@@ -433,6 +1128,21 @@ var Body = require('../body/Body');
      * @default 2
      */
 
+    /**
+     * An integer `Number` that specifies the number of substeps to divide each update into.
+     * Each substep integrates, detects and resolves collisions and solves constraints over an equal fraction of the update,
+     * which improves the stability of stacks and chains at the expense of performance.
+     * Gravity, forces and joint motors are applied once per update and act over every substep.
+     * Collision events are triggered once per update as usual, with `collisionStart` triggered before the substep in which a pair starts colliding is resolved,
+     * while `preSolve`, `postSolve` and `constraintBreak` events are triggered in every substep they apply to.
+     * Pairs that collide in any substep stay active until the next update, so resting contacts do not repeatedly end and start again.
+     * The impulses recorded on pairs and constraints are those of the last substep.
+     *
+     * @property substeps
+     * @type number
+     * @default 1
+     */
+
     /**
      * A flag that specifies whether the engine should allow sleeping via the `Matter.Sleeping` module.
      * Sleeping can improve stability and performance, but often at the expense of accuracy.
@@ -442,6 +1152,39 @@ var Body = require('../body/Body');
      * @default false
      */
 
+    /**
+     * A flag that specifies whether the engine should sweep all fast moving bodies using continuous collision detection via the `Matter.CCD` module.
+     * A body is considered fast if it moves more than half of its own size in a single update.
+     * Bodies with `body.isBullet` set are always swept, regardless of this flag.
+     *
+     * @property enableCCD
+     * @type boolean
+     * @default false
+     */
+
+    /**
+     * A flag that specifies whether the engine should run in deterministic mode, for lockstep networking and replays.
+     * In this mode every `Engine.update` uses `engine.timing.fixedDelta` (ignoring the arguments passed)
+     * and collision pairs are always tested and resolved in the order that their bodies appear in the world
+     * (both the broadphase pairs and `engine.pairs.list` are sorted, so the order does not depend on when pairs started colliding),
+     * so that two engines with the same world given the same inputs produce identical results.
+     * Constraints are always solved in the order they appear in the world.
+     * Use `Engine.random` rather than `Common.random` for any randomness in the simulation.
+     *
+     * @property deterministic
+     * @type boolean
+     * @default false
+     */
+
+    /**
+     * The current state of the seeded random generator used by `Engine.random`.
+     * Set this to the same value on each engine to get the same random sequence.
+     *
+     * @property seed
+     * @type number
+     * @default 0
+     */
+
     /**
      * An `Object` containing properties regarding the timing systems of the engine. 
      *
@@ -469,6 +1212,25 @@ var Body = require('../body/Body');
      * @default 0
      */
 
+    /**
+     * A `Number` that specifies the `delta` in milliseconds used by every `Engine.update` when `engine.deterministic` is set.
+     *
+     * @property timing.fixedDelta
+     * @type number
+     * @default 1000 / 60
+     */
+
+    /**
+     * A `Number` that is the `delta` in milliseconds of the last `Engine.update`, before it is scaled by `timing.timeScale`.
+     * It is used to correct body velocities when the `delta` changes between updates and no `correction` is given,
+     * so updates with a constant `delta` are never corrected, even if `timing.timeScale` changes.
+     * It is `0` before the first update, when no correction is applied.
+     *
+     * @property timing.lastDelta
+     * @type number
+     * @default 0
+     */
+
     /**
      * An instance of a `Render` controller. The default value is a `Matter.Render` instance created by `Engine.create`.
      * One may also develop a custom renderer module based on `Matter.Render` and pass an instance of it to `Engine.create` via `options.render`.
@@ -484,6 +1246,7 @@ var Body = require('../body/Body');
 
     /**
      * An instance of a broadphase controller. The default value is a `Matter.Grid` instance created by `Engine.create`.
+     * A `Matter.Tree` or `Matter.SAP` may be used instead, e.g. `Engine.create({ broadphase: { controller: Matter.Tree } })`.
      *
      * @property broadphase
      * @type grid
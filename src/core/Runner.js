@@ -62,6 +62,10 @@ var Common = require('./Common');
             timeScalePrev: 1,
             frameRequestId: null,
             isFixed: false,
+            isAccumulated: false,
+            accumulator: 0,
+            maxSteps: 4,
+            alpha: 1,
             enabled: true
         };
 
@@ -100,7 +104,7 @@ var Common = require('./Common');
 
     /**
      * A game loop utility that updates the engine and renderer by one step (a 'tick').
-     * Features delta smoothing, time correction and fixed or dynamic timing.
+     * Features delta smoothing, time correction and fixed, dynamic or accumulated timing.
      * Triggers `beforeTick`, `tick` and `afterTick` events on the engine.
      * Consider just `Engine.update(engine, delta)` if you're using your own loop.
      * @method tick
@@ -121,7 +125,12 @@ var Common = require('./Common');
         Events.trigger(runner, 'beforeTick', event);
         Events.trigger(engine, 'beforeTick', event); // @deprecated
 
-        if (runner.isFixed) {
+        if (runner.isAccumulated) {
+            // fixed timestep, updated as many times as needed to keep up with the time between calls
+            runner.accumulator += runner.timePrev !== null ? time - runner.timePrev : runner.delta;
+            runner.timePrev = time;
+            delta = runner.delta;
+        } else if (runner.isFixed) {
             // fixed timestep
             delta = runner.delta;
         } else {
@@ -175,9 +184,29 @@ var Common = require('./Common');
         }
 
         // update
-        Events.trigger(runner, 'beforeUpdate', event);
-        Engine.update(engine, delta, correction);
-        Events.trigger(runner, 'afterUpdate', event);
+        if (runner.isAccumulated) {
+            // update by the fixed timestep for all of the accumulated time, up to the max steps per tick
+            for (var steps = 0; runner.accumulator >= delta && steps < runner.maxSteps; steps += 1) {
+                Events.trigger(runner, 'beforeUpdate', event);
+                Engine.update(engine, delta);
+                Events.trigger(runner, 'afterUpdate', event);
+
+                runner.accumulator -= delta;
+            }
+
+            // drop any time that could not be updated, rather than falling further behind on every tick
+            if (runner.accumulator >= delta)
+                runner.accumulator %= delta;
+
+            // the fraction of the next update that has accumulated, for interpolating bodies when rendering
+            runner.alpha = runner.accumulator / delta;
+        } else {
+            Events.trigger(runner, 'beforeUpdate', event);
+            Engine.update(engine, delta, correction);
+            Events.trigger(runner, 'afterUpdate', event);
+
+            runner.alpha = 1;
+        }
 
         // render
         // @deprecated
@@ -317,6 +346,47 @@ var Common = require('./Common');
      * @default false
      */
 
+    /**
+     * A `Boolean` that specifies if the runner should accumulate the time between ticks and update the engine by a fixed `delta` for all of it.
+     * This may mean several updates or none on each tick, up to `runner.maxSteps`.
+     * The simulation is then deterministic and runs at the correct apparent speed on any display,
+     * and its motion may be smoothed by drawing bodies part of the way through the next update (see `runner.alpha` and `render.runner`).
+     * This takes precedence over `runner.isFixed`.
+     *
+     * @property isAccumulated
+     * @type boolean
+     * @default false
+     */
+
+    /**
+     * A `Number` that is the time in milliseconds that has accumulated but not yet been updated, when `runner.isAccumulated` is set.
+     *
+     * @property accumulator
+     * @type number
+     * @default 0
+     */
+
+    /**
+     * A `Number` that specifies the most updates a tick may make when `runner.isAccumulated` is set.
+     * Any more accumulated time is dropped, so that when updates take longer than the time they simulate,
+     * the simulation slows down rather than falling further behind on every tick.
+     *
+     * @property maxSteps
+     * @type number
+     * @default 4
+     */
+
+    /**
+     * A `Number` from `0` to `1` that is the fraction of the next update that has accumulated after the last tick, when `runner.isAccumulated` is set.
+     * Renderers may use it to draw bodies at `alpha` of the way from their previous to their current positions, for smooth motion between updates.
+     * It is always `1` otherwise.
+     *
+     * @property alpha
+     * @type number
+     * @default 1
+     * @readOnly
+     */
+
     /**
      * A `Number` that specifies the time step between updates in milliseconds.
      * If `engine.timing.isFixed` is set to `true`, then `delta` is fixed.
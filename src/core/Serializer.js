@@ -0,0 +1,575 @@
+/**
+* The `Matter.Serializer` module contains methods for saving the state of an engine as plain JSON-compatible data,
+* and for restoring an engine from that data so that the simulation continues identically.
+*
+* The data includes all composites, bodies (with their parts and vertices), constraints,
+* collision pairs (with their warm started contact impulses) and the state of the broadphase.
+* References between objects are stored by `id`. Event handlers and functions are not included.
+* Tracks (see `Matter.Track`) are not included either, as they are event handlers on the engine,
+* so they must be created again for the restored engine, passing their original `timeStart` to keep them in step.
+*
+* @class Serializer
+*/
+
+var Serializer = {};
+
+module.exports = Serializer;
+
+var Engine = require('./Engine');
+var Common = require('./Common');
+var Grid = require('../collision/Grid');
+var Tree = require('../collision/Tree');
+var SAP = require('../collision/SAP');
+
+(function() {
+
+    Serializer._controllers = {
+        Grid: Grid,
+        Tree: Tree,
+        SAP: SAP
+    };
+
+    /**
+     * Returns the state of the engine as plain data, which may be passed to `JSON.stringify`.
+     * The broadphase state is only included if the engine uses a `Matter.Grid`, `Matter.Tree` or `Matter.SAP`.
+     * @method serialize
+     * @param {engine} engine
+     * @return {object} The serialized engine
+     */
+    Serializer.serialize = function(engine) {
+        var data = Serializer._encodeObject(engine, ['world', 'pairs', 'broadphase', 'metrics', 'events', 'render']),
+            pairsList = engine.pairs.list;
+
+        data.world = Serializer._encodeComposite(engine.world);
+        data.pairs = [];
+
+        for (var i = 0; i < pairsList.length; i++) {
+            data.pairs.push(Serializer._encodePair(pairsList[i]));
+        }
+
+        data.broadphase = Serializer._encodeBroadphase(engine.broadphase);
+
+        return data;
+    };
+
+    /**
+     * Creates a new engine from data returned by `Serializer.serialize` (or parsed from its JSON).
+     * Updating the new engine gives the same results as updating the original engine.
+     * Any event handlers must be added again, including any tracks (see `Track.create`).
+     * @method deserialize
+     * @param {object} data
+     * @return {engine} A new engine
+     */
+    Serializer.deserialize = function(data) {
+        var refs = {},
+            broadphaseData = data.broadphase,
+            controller = broadphaseData && Serializer._controllers[broadphaseData.controller],
+            i;
+
+        Serializer._createRefs(data.world, refs);
+
+        var world = Serializer._decodeComposite(data.world, refs, null),
+            engine = Engine.create({ world: world, broadphase: { controller: controller || Grid } });
+
+        Serializer._decodeObject(engine, data, refs, ['world', 'pairs', 'broadphase']);
+
+        // restore the pairs in their original order, dropping any that refer to bodies no longer in the world
+        for (i = 0; i < data.pairs.length; i++) {
+            var pair = Serializer._decodePair(data.pairs[i], refs);
+
+            if (pair.bodyA && pair.bodyB) {
+                engine.pairs.list.push(pair);
+                engine.pairs.table[pair.id] = pair;
+            }
+        }
+
+        if (controller) {
+            Serializer._decodeBroadphase(engine.broadphase, broadphaseData, refs);
+        } else {
+            // unknown broadphase state, so rebuild it on the next update
+            world.isModified = true;
+        }
+
+        // avoid reusing ids of restored objects
+        var ids = Common.keys(refs);
+
+        for (i = 0; i < ids.length; i++) {
+            Common._nextId = Math.max(Common._nextId, parseInt(ids[i], 10) + 1);
+        }
+
+        return engine;
+    };
+
+    /**
+     * Encodes the own properties of an object, except those in `exclude`.
+     * @method _encodeObject
+     * @private
+     * @param {object} object
+     * @param {string[]} exclude
+     * @return {object} The encoded object
+     */
+    Serializer._encodeObject = function(object, exclude) {
+        var data = {},
+            keys = Common.keys(object);
+
+        for (var i = 0; i < keys.length; i++) {
+            var key = keys[i];
+
+            if (Common.indexOf(exclude, key) !== -1)
+                continue;
+
+            var value = Serializer._encode(object[key]);
+
+            if (value !== undefined)
+                data[key] = value;
+        }
+
+        return data;
+    };
+
+    /**
+     * Encodes a value as plain data. Bodies, constraints and composites are encoded as references by id
+     * and vertices as references by body id and index. Functions and non-plain objects are dropped.
+     * Infinite numbers are encoded as objects, as they are not supported by JSON.
+     * @method _encode
+     * @private
+     * @param {} value
+     * @return {} The encoded value
+     */
+    Serializer._encode = function(value) {
+        if (typeof value === 'number')
+            return isFinite(value) ? value : { $number: String(value) };
+
+        if (typeof value === 'function')
+            return undefined;
+
+        if (value === null || typeof value !== 'object')
+            return value;
+
+        if (Common.isArray(value)) {
+            var array = [];
+
+            for (var i = 0; i < value.length; i++) {
+                var item = Serializer._encode(value[i]);
+                array.push(item === undefined ? null : item);
+            }
+
+            return array;
+        }
+
+        if (Serializer._isReferenced(value))
+            return { $ref: value.id };
+
+        if (value.body && value.body.type === 'body' && typeof value.index === 'number') {
+            // circle supports do not belong to the body vertices, so also keep their position
+            if (value.index === -1)
+                return { $vertex: value.body.id, index: -1, x: value.x, y: value.y };
+
+            return { $vertex: value.body.id, index: value.index };
+        }
+
+        if (!Common.isPlainObject(value))
+            return undefined;
+
+        return Serializer._encodeObject(value, []);
+    };
+
+    /**
+     * Encodes a composite along with all of its bodies, constraints and composites.
+     * @method _encodeComposite
+     * @private
+     * @param {composite} composite
+     * @return {object} The encoded composite
+     */
+    Serializer._encodeComposite = function(composite) {
+        var data = Serializer._encodeObject(composite, ['parent', 'bodies', 'constraints', 'composites', 'events']),
+            i;
+
+        data.bodies = [];
+        data.constraints = [];
+        data.composites = [];
+
+        for (i = 0; i < composite.bodies.length; i++) {
+            data.bodies.push(Serializer._encodeBody(composite.bodies[i]));
+        }
+
+        for (i = 0; i < composite.constraints.length; i++) {
+            data.constraints.push(Serializer._encodeObject(composite.constraints[i], ['events']));
+        }
+
+        for (i = 0; i < composite.composites.length; i++) {
+            data.composites.push(Serializer._encodeComposite(composite.composites[i]));
+        }
+
+        return data;
+    };
+
+    /**
+     * Encodes a body along with its vertices and parts.
+     * @method _encodeBody
+     * @private
+     * @param {body} body
+     * @return {object} The encoded body
+     */
+    Serializer._encodeBody = function(body) {
+        var data = Serializer._encodeObject(body, ['parent', 'parts', 'vertices', 'events']),
+            i;
+
+        data.vertices = [];
+        data.parts = [];
+
+        for (i = 0; i < body.vertices.length; i++) {
+            var vertex = body.vertices[i];
+
+            data.vertices.push({
+                x: vertex.x,
+                y: vertex.y,
+                index: vertex.index,
+                isInternal: vertex.isInternal
+            });
+        }
+
+        // the first part is always the body itself
+        for (i = 1; i < body.parts.length; i++) {
+            data.parts.push(Serializer._encodeBody(body.parts[i]));
+        }
+
+        return data;
+    };
+
+    /**
+     * Encodes a pair along with its collision and contacts.
+     * @method _encodePair
+     * @private
+     * @param {pair} pair
+     * @return {object} The encoded pair
+     */
+    Serializer._encodePair = function(pair) {
+        var data = Serializer._encodeObject(pair, ['activeContacts']);
+
+        data.activeContacts = [];
+
+        for (var i = 0; i < pair.activeContacts.length; i++) {
+            data.activeContacts.push(pair.activeContacts[i].id);
+        }
+
+        return data;
+    };
+
+    /**
+     * Encodes the state of a known broadphase controller, or returns `null` if the controller is not known.
+     * @method _encodeBroadphase
+     * @private
+     * @param {} broadphase
+     * @return {object|null} The encoded broadphase
+     */
+    Serializer._encodeBroadphase = function(broadphase) {
+        var controllers = Serializer._controllers,
+            names = Common.keys(controllers),
+            data = null;
+
+        for (var i = 0; i < names.length; i++) {
+            if (broadphase.controller === controllers[names[i]]) {
+                data = Serializer._encodeObject(broadphase, ['controller', 'detector', 'root', 'leaves']);
+                data.controller = names[i];
+            }
+        }
+
+        if (data && broadphase.controller === Tree)
+            data.root = Serializer._encodeNode(broadphase.root);
+
+        return data;
+    };
+
+    /**
+     * Encodes a tree node and its children.
+     * @method _encodeNode
+     * @private
+     * @param {} node
+     * @return {object|null} The encoded node
+     */
+    Serializer._encodeNode = function(node) {
+        if (!node)
+            return null;
+
+        return {
+            bounds: Serializer._encode(node.bounds),
+            height: node.height,
+            body: node.body ? node.body.id : null,
+            left: Serializer._encodeNode(node.left),
+            right: Serializer._encodeNode(node.right)
+        };
+    };
+
+    /**
+     * Creates an empty object for every composite, body, part and constraint, so that references can be resolved.
+     * @method _createRefs
+     * @private
+     * @param {object} data
+     * @param {object} refs
+     */
+    Serializer._createRefs = function(data, refs) {
+        var i;
+
+        refs[data.id] = {};
+
+        for (i = 0; i < data.bodies.length; i++) {
+            Serializer._createBodyRefs(data.bodies[i], refs);
+        }
+
+        for (i = 0; i < data.constraints.length; i++) {
+            refs[data.constraints[i].id] = {};
+        }
+
+        for (i = 0; i < data.composites.length; i++) {
+            Serializer._createRefs(data.composites[i], refs);
+        }
+    };
+
+    /**
+     * Creates an empty object for a body and its parts.
+     * @method _createBodyRefs
+     * @private
+     * @param {object} data
+     * @param {object} refs
+     */
+    Serializer._createBodyRefs = function(data, refs) {
+        refs[data.id] = {};
+
+        for (var i = 0; i < data.parts.length; i++) {
+            Serializer._createBodyRefs(data.parts[i], refs);
+        }
+    };
+
+    /**
+     * Decodes the properties of `data` onto `object`, except those in `exclude`.
+     * @method _decodeObject
+     * @private
+     * @param {object} object
+     * @param {object} data
+     * @param {object} refs
+     * @param {string[]} exclude
+     * @return {object} The object
+     */
+    Serializer._decodeObject = function(object, data, refs, exclude) {
+        var keys = Common.keys(data);
+
+        for (var i = 0; i < keys.length; i++) {
+            if (Common.indexOf(exclude, keys[i]) === -1)
+                object[keys[i]] = Serializer._decode(data[keys[i]], refs);
+        }
+
+        return object;
+    };
+
+    /**
+     * Decodes a value encoded by `Serializer._encode`, resolving any references.
+     * @method _decode
+     * @private
+     * @param {} data
+     * @param {object} refs
+     * @return {} The decoded value
+     */
+    Serializer._decode = function(data, refs) {
+        if (data === null || typeof data !== 'object')
+            return data;
+
+        if (Common.isArray(data)) {
+            var array = [];
+
+            for (var i = 0; i < data.length; i++) {
+                array.push(Serializer._decode(data[i], refs));
+            }
+
+            return array;
+        }
+
+        if (data.$number !== undefined)
+            return Number(data.$number);
+
+        if (data.$ref !== undefined)
+            return refs[data.$ref];
+
+        if (data.$vertex !== undefined) {
+            var body = refs[data.$vertex];
+
+            if (data.index === -1)
+                return { x: data.x, y: data.y, index: -1, body: body, isInternal: false };
+
+            return body ? body.vertices[data.index] : null;
+        }
+
+        return Serializer._decodeObject({}, data, refs, []);
+    };
+
+    /**
+     * Decodes a composite along with all of its bodies, constraints and composites.
+     * @method _decodeComposite
+     * @private
+     * @param {object} data
+     * @param {object} refs
+     * @param {composite} parent
+     * @return {composite} The decoded composite
+     */
+    Serializer._decodeComposite = function(data, refs, parent) {
+        var composite = Serializer._decodeObject(refs[data.id], data, refs, ['bodies', 'constraints', 'composites']),
+            i;
+
+        composite.parent = parent;
+        composite.bodies = [];
+        composite.constraints = [];
+        composite.composites = [];
+
+        // bodies first, so vertex references can be resolved
+        for (i = 0; i < data.bodies.length; i++) {
+            composite.bodies.push(Serializer._decodeBody(data.bodies[i], refs, null));
+        }
+
+        for (i = 0; i < data.constraints.length; i++) {
+            var constraintData = data.constraints[i];
+            composite.constraints.push(Serializer._decodeObject(refs[constraintData.id], constraintData, refs, []));
+        }
+
+        for (i = 0; i < data.composites.length; i++) {
+            composite.composites.push(Serializer._decodeComposite(data.composites[i], refs, composite));
+        }
+
+        return composite;
+    };
+
+    /**
+     * Decodes a body along with its vertices and parts.
+     * @method _decodeBody
+     * @private
+     * @param {object} data
+     * @param {object} refs
+     * @param {body} parent
+     * @return {body} The decoded body
+     */
+    Serializer._decodeBody = function(data, refs, parent) {
+        var body = Serializer._decodeObject(refs[data.id], data, refs, ['parts', 'vertices']),
+            i;
+
+        body.parent = parent || body;
+        body.vertices = [];
+        body.parts = [body];
+
+        for (i = 0; i < data.vertices.length; i++) {
+            var vertex = data.vertices[i];
+
+            body.vertices.push({
+                x: vertex.x,
+                y: vertex.y,
+                index: vertex.index,
+                body: body,
+                isInternal: vertex.isInternal
+            });
+        }
+
+        for (i = 0; i < data.parts.length; i++) {
+            body.parts.push(Serializer._decodeBody(data.parts[i], refs, body));
+        }
+
+        return body;
+    };
+
+    /**
+     * Decodes a pair along with its collision and contacts.
+     * @method _decodePair
+     * @private
+     * @param {object} data
+     * @param {object} refs
+     * @return {pair} The decoded pair
+     */
+    Serializer._decodePair = function(data, refs) {
+        var pair = Serializer._decodeObject({}, data, refs, ['activeContacts']),
+            collision = pair.collision,
+            contactIds = Common.keys(pair.contacts),
+            i;
+
+        // circle supports are shared between the collision and its contacts
+        if (collision && collision.circleSupport) {
+            for (i = 0; i < collision.supports.length; i++) {
+                if (collision.supports[i].index === -1)
+                    collision.supports[i] = collision.circleSupport;
+            }
+
+            for (i = 0; i < contactIds.length; i++) {
+                var contact = pair.contacts[contactIds[i]];
+
+                if (contact.vertex && contact.vertex.index === -1)
+                    contact.vertex = collision.circleSupport;
+            }
+        }
+
+        pair.activeContacts = [];
+
+        for (i = 0; i < data.activeContacts.length; i++) {
+            pair.activeContacts.push(pair.contacts[data.activeContacts[i]]);
+        }
+
+        return pair;
+    };
+
+    /**
+     * Decodes the state of a broadphase onto a broadphase created by its controller.
+     * @method _decodeBroadphase
+     * @private
+     * @param {} broadphase
+     * @param {object} data
+     * @param {object} refs
+     */
+    Serializer._decodeBroadphase = function(broadphase, data, refs) {
+        Serializer._decodeObject(broadphase, data, refs, ['controller', 'root']);
+
+        if (broadphase.controller === Tree) {
+            broadphase.leaves = {};
+            broadphase.root = Serializer._decodeNode(data.root, null, broadphase.leaves, refs);
+        }
+    };
+
+    /**
+     * Decodes a tree node and its children, adding any leaves to `leaves`.
+     * @method _decodeNode
+     * @private
+     * @param {object} data
+     * @param {} parent
+     * @param {object} leaves
+     * @param {object} refs
+     * @return {} The decoded node
+     */
+    Serializer._decodeNode = function(data, parent, leaves, refs) {
+        if (!data)
+            return null;
+
+        var node = {
+            bounds: Serializer._decode(data.bounds, refs),
+            parent: parent,
+            left: null,
+            right: null,
+            body: data.body !== null ? refs[data.body] : null,
+            height: data.height
+        };
+
+        node.left = Serializer._decodeNode(data.left, node, leaves, refs);
+        node.right = Serializer._decodeNode(data.right, node, leaves, refs);
+
+        if (node.body)
+            leaves[node.body.id] = node;
+
+        return node;
+    };
+
+    /**
+     * Returns `true` if the object is a body, constraint or composite, which are stored by reference.
+     * @method _isReferenced
+     * @private
+     * @param {object} object
+     * @return {boolean} True if the object is stored by reference
+     */
+    Serializer._isReferenced = function(object) {
+        return (object.type === 'body' || object.type === 'constraint' || object.type === 'composite')
+            && typeof object.id === 'number';
+    };
+
+})();
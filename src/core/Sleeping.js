@@ -41,6 +41,10 @@ var Events = require('./Events');
         
             // biased average motion estimation between frames
             body.motion = Sleeping._minBias * minMotion + (1 - Sleeping._minBias) * maxMotion;
+
+            // kinematic bodies never sleep
+            if (body.isKinematic)
+                continue;
             
             if (body.sleepThreshold > 0 && body.motion < Sleeping._motionSleepThreshold * timeFactor) {
                 body.sleepCounter += 1;
@@ -82,7 +86,10 @@ var Events = require('./Events');
                 var sleepingBody = (bodyA.isSleeping && !bodyA.isStatic) ? bodyA : bodyB,
                     movingBody = sleepingBody === bodyA ? bodyB : bodyA;
 
-                if (!sleepingBody.isStatic && movingBody.motion > Sleeping._motionWakeThreshold * timeFactor) {
+                // any motion of kinematic bodies wakes the bodies they touch
+                var wakeThreshold = movingBody.isKinematic ? 0 : Sleeping._motionWakeThreshold * timeFactor;
+
+                if (!sleepingBody.isStatic && movingBody.motion > wakeThreshold) {
                     Sleeping.set(sleepingBody, false);
                 }
             }
@@ -7,8 +7,6 @@
 * @class Bodies
 */
 
-// TODO: true circle bodies
-
 var Bodies = {};
 
 module.exports = Bodies;
@@ -100,6 +98,12 @@ var Vector = require('../geometry/Vector');
 
     /**
      * Creates a new rigid body model with a circle hull. 
+     * Collisions are detected using the true circle given by `body.circleRadius`, 
+     * while the polygon hull (with up to `maxSides`) is used for bounds, mass properties and queries.
+     * The hull's vertices are not used to detect collisions, so they do not add to the cost of scenes with many circles.
+     * They keep their resolution so that the bounds and mass of the hull closely match the true circle,
+     * since fewer sides would shrink the bounds inside the circle (missing grazing contacts in the broadphase)
+     * and change the mass of existing circles.
      * The options parameter is an object that specifies any properties you wish to override the defaults.
      * See the properties section of the `Matter.Body` module for detailed information on what you can pass via the `options` object.
      * @method circle
@@ -118,7 +122,7 @@ var Vector = require('../geometry/Vector');
             circleRadius: radius
         };
         
-        // approximate circles with polygons until true circles implemented in SAT
+        // approximate the hull with a polygon, collisions use the true circle (see above for why sides are not reduced)
         maxSides = maxSides || 25;
         var sides = Math.ceil(Math.max(10, Math.min(maxSides, radius)));
 
@@ -13,6 +13,7 @@ module.exports = Composites;
 
 var Composite = require('../body/Composite');
 var Constraint = require('../constraint/Constraint');
+var Joint = require('../constraint/Joint');
 var Common = require('../core/Common');
 var Body = require('../body/Body');
 var Bodies = require('./Bodies');
@@ -229,6 +230,9 @@ var Bodies = require('./Bodies');
     
     /**
      * Creates a composite with simple car setup of bodies and constraints.
+     * The wheels are attached with revolute joints (see `Joint.revolute`), so setting `enableMotor` and `motorSpeed`
+     * on `car.constraints` drives the wheels, where a positive `motorSpeed` turns them clockwise.
+     * Each axle has the car body as `bodyA` and its wheel as `bodyB`.
      * @method car
      * @param {number} xx
      * @param {number} yy
@@ -269,20 +273,18 @@ var Bodies = require('./Bodies');
             friction: 0.8
         });
                     
-        var axelA = Constraint.create({
-            bodyB: body,
-            pointB: { x: wheelAOffset, y: wheelYOffset },
-            bodyA: wheelA,
-            stiffness: 1,
-            length: 0
+        var axelA = Joint.revolute({
+            bodyA: body,
+            pointA: { x: wheelAOffset, y: wheelYOffset },
+            bodyB: wheelA,
+            maxMotorTorque: 1
         });
                         
-        var axelB = Constraint.create({
-            bodyB: body,
-            pointB: { x: wheelBOffset, y: wheelYOffset },
-            bodyA: wheelB,
-            stiffness: 1,
-            length: 0
+        var axelB = Joint.revolute({
+            bodyA: body,
+            pointA: { x: wheelBOffset, y: wheelYOffset },
+            bodyB: wheelB,
+            maxMotorTorque: 1
         });
         
         Composite.addBody(car, body);
@@ -3,7 +3,9 @@ var Matter = module.exports = require('../core/Matter');
 Matter.Body = require('../body/Body');
 Matter.Composite = require('../body/Composite');
 Matter.World = require('../body/World');
+Matter.Track = require('../body/Track');
 
+Matter.CCD = require('../collision/CCD');
 Matter.Contact = require('../collision/Contact');
 Matter.Detector = require('../collision/Detector');
 Matter.Grid = require('../collision/Grid');
@@ -11,9 +13,12 @@ Matter.Pairs = require('../collision/Pairs');
 Matter.Pair = require('../collision/Pair');
 Matter.Query = require('../collision/Query');
 Matter.Resolver = require('../collision/Resolver');
+Matter.SAP = require('../collision/SAP');
 Matter.SAT = require('../collision/SAT');
+Matter.Tree = require('../collision/Tree');
 
 Matter.Constraint = require('../constraint/Constraint');
+Matter.Joint = require('../constraint/Joint');
 Matter.MouseConstraint = require('../constraint/MouseConstraint');
 
 Matter.Common = require('../core/Common');
@@ -21,6 +26,7 @@ Matter.Engine = require('../core/Engine');
 Matter.Events = require('../core/Events');
 Matter.Mouse = require('../core/Mouse');
 Matter.Runner = require('../core/Runner');
+Matter.Serializer = require('../core/Serializer');
 Matter.Sleeping = require('../core/Sleeping');
 Matter.Plugin = require('../core/Plugin');
 
@@ -15,7 +15,9 @@ var Composite = require('../body/Composite');
 var Bounds = require('../geometry/Bounds');
 var Events = require('../core/Events');
 var Grid = require('../collision/Grid');
+var Tree = require('../collision/Tree');
 var Vector = require('../geometry/Vector');
+var Vertices = require('../geometry/Vertices');
 var Mouse = require('../core/Mouse');
 
 (function() {
@@ -44,6 +46,7 @@ var Mouse = require('../core/Mouse');
         var defaults = {
             controller: Render,
             engine: null,
+            runner: null,
             element: null,
             canvas: null,
             mouse: null,
@@ -85,9 +88,11 @@ var Mouse = require('../core/Mouse');
 
         render.mouse = options.mouse;
         render.engine = options.engine;
+        render.runner = options.runner || null;
         render.canvas = render.canvas || _createCanvas(render.options.width, render.options.height);
         render.context = render.canvas.getContext('2d');
         render.textures = {};
+        render.interpolated = {};
 
         render.bounds = render.bounds || {
             min: {
@@ -298,6 +303,7 @@ var Mouse = require('../core/Mouse');
             allBodies = Composite.allBodies(world),
             allConstraints = Composite.allConstraints(world),
             background = options.wireframes ? options.wireframeBackground : options.background,
+            alpha = render.runner ? render.runner.alpha : 1,
             bodies = [],
             constraints = [],
             i;
@@ -366,6 +372,10 @@ var Mouse = require('../core/Mouse');
             }
         }
 
+        // draw bodies part of the way through the last update, for smooth motion between the runner's updates
+        if (alpha < 1)
+            bodies = Render._interpolateBodies(render, bodies, alpha);
+
         if (!options.wireframes || (engine.enableSleeping && options.showSleeping)) {
             // fully featured rendering of bodies
             Render.bodies(render, bodies, context);
@@ -404,9 +414,9 @@ var Mouse = require('../core/Mouse');
         if (options.showMousePosition)
             Render.mousePosition(render, render.mouse, context);
 
-        Render.constraints(constraints, context);
+        Render.constraints(constraints, context, alpha < 1 ? render.interpolated : null);
 
-        if (options.showBroadphase && engine.broadphase.controller === Grid)
+        if (options.showBroadphase)
             Render.grid(render, engine.broadphase, context);
 
         if (options.showDebug)
@@ -420,6 +430,135 @@ var Mouse = require('../core/Mouse');
         Events.trigger(render, 'afterRender', event);
     };
 
+    /**
+     * Returns the bodies to draw part of the way through the last update, where they were `alpha` of the way from their previous positions and angles to their current ones.
+     * Each moving body is drawn from a copy that inherits all of its properties, except for the position, angle and vertices of its parts,
+     * which are found in buffers kept on `render` and reused between frames, so the bodies themselves are not changed.
+     * Static and sleeping bodies are returned as they are.
+     * @private
+     * @method _interpolateBodies
+     * @param {render} render
+     * @param {body[]} bodies
+     * @param {number} alpha
+     * @return {body[]} The bodies to draw
+     */
+    Render._interpolateBodies = function(render, bodies, alpha) {
+        var buffers = render.interpolated || {},
+            used = {},
+            interpolated = [];
+
+        for (var i = 0; i < bodies.length; i++) {
+            var body = bodies[i];
+
+            if (body.isStatic || body.isSleeping) {
+                interpolated.push(body);
+                continue;
+            }
+
+            var buffer = buffers[body.id];
+
+            if (!buffer || !Render._isBufferFor(buffer, body))
+                buffer = Render._createBuffer(body);
+
+            // move back from the current position, rotating about the body's interpolated position
+            var rotation = (body.angle - body.anglePrev) * (alpha - 1),
+                cos = Math.cos(rotation),
+                sin = Math.sin(rotation),
+                centreX = body.position.x + (body.position.x - body.positionPrev.x) * (alpha - 1),
+                centreY = body.position.y + (body.position.y - body.positionPrev.y) * (alpha - 1);
+
+            for (var k = 0; k < body.parts.length; k++) {
+                var part = body.parts[k],
+                    copy = buffer.parts[k],
+                    dx = part.position.x - body.position.x,
+                    dy = part.position.y - body.position.y;
+
+                copy.position.x = centreX + dx * cos - dy * sin;
+                copy.position.y = centreY + dx * sin + dy * cos;
+                copy.angle = part.angle + rotation;
+
+                for (var j = 0; j < part.vertices.length; j++) {
+                    dx = part.vertices[j].x - body.position.x;
+                    dy = part.vertices[j].y - body.position.y;
+
+                    copy.vertices[j].x = centreX + dx * cos - dy * sin;
+                    copy.vertices[j].y = centreY + dx * sin + dy * cos;
+                }
+            }
+
+            used[body.id] = buffer;
+            interpolated.push(buffer);
+        }
+
+        // keep only the buffers of bodies drawn in this frame
+        render.interpolated = used;
+
+        return interpolated;
+    };
+
+    /**
+     * Creates a copy of the body and its parts to draw from, with its own position, angle and vertices.
+     * @private
+     * @method _createBuffer
+     * @param {body} body
+     * @return {body} The copy of the body
+     */
+    Render._createBuffer = function(body) {
+        var buffer = null,
+            parts = [];
+
+        for (var i = 0; i < body.parts.length; i++) {
+            var part = body.parts[i],
+                copy = Object.create(part);
+
+            copy.position = { x: part.position.x, y: part.position.y };
+            copy.angle = part.angle;
+            copy.vertices = [];
+
+            for (var j = 0; j < part.vertices.length; j++) {
+                var vertex = part.vertices[j];
+
+                copy.vertices.push({
+                    x: vertex.x,
+                    y: vertex.y,
+                    index: vertex.index,
+                    body: copy,
+                    isInternal: vertex.isInternal
+                });
+            }
+
+            buffer = buffer || copy;
+            parts.push(copy);
+        }
+
+        buffer.parts = parts;
+
+        return buffer;
+    };
+
+    /**
+     * Returns true if the buffer was created for the body, and the body's parts and vertices have not changed since.
+     * @private
+     * @method _isBufferFor
+     * @param {body} buffer
+     * @param {body} body
+     * @return {boolean} True if the buffer may be reused for the body
+     */
+    Render._isBufferFor = function(buffer, body) {
+        if (buffer.parts.length !== body.parts.length)
+            return false;
+
+        for (var i = 0; i < body.parts.length; i++) {
+            var copy = buffer.parts[i],
+                part = body.parts[i];
+
+            if (Object.getPrototypeOf(copy) !== part || copy.vertices.length !== part.vertices.length)
+                return false;
+        }
+
+        return true;
+    };
+
     /**
      * Description
      * @private
@@ -492,8 +631,9 @@ var Mouse = require('../core/Mouse');
      * @method constraints
      * @param {constraint[]} constraints
      * @param {RenderingContext} context
+     * @param {} [interpolated] The interpolated copies of bodies to draw constraints attached to, by body id (see `Render._interpolateBodies`)
      */
-    Render.constraints = function(constraints, context) {
+    Render.constraints = function(constraints, context, interpolated) {
         var c = context;
 
         for (var i = 0; i < constraints.length; i++) {
@@ -502,31 +642,24 @@ var Mouse = require('../core/Mouse');
             if (!constraint.render.visible || !constraint.pointA || !constraint.pointB)
                 continue;
 
-            var bodyA = constraint.bodyA,
-                bodyB = constraint.bodyB,
-                start,
+            var start = Render._constraintPoint(constraint.bodyA, constraint.pointA, interpolated),
                 end;
 
-            if (bodyA) {
-                start = Vector.add(bodyA.position, constraint.pointA);
-            } else {
-                start = constraint.pointA;
-            }
-
             if (constraint.render.type === 'pin') {
                 c.beginPath();
                 c.arc(start.x, start.y, 3, 0, 2 * Math.PI);
                 c.closePath();
             } else {
-                if (bodyB) {
-                    end = Vector.add(bodyB.position, constraint.pointB);
-                } else {
-                    end = constraint.pointB;
-                }
+                end = Render._constraintPoint(constraint.bodyB, constraint.pointB, interpolated);
 
                 c.beginPath();
                 c.moveTo(start.x, start.y);
 
+                if (constraint.render.type === 'pulley') {
+                    c.lineTo(constraint.groundA.x, constraint.groundA.y);
+                    c.lineTo(constraint.groundB.x, constraint.groundB.y);
+                }
+
                 if (constraint.render.type === 'spring') {
                     var delta = Vector.sub(end, start),
                         normal = Vector.perp(Vector.normalise(delta)),
@@ -563,6 +696,29 @@ var Mouse = require('../core/Mouse');
         }
     };
 
+    /**
+     * Returns the world-space position of a constraint's point on the given body,
+     * moved along with the body's interpolated copy if there is one.
+     * @private
+     * @method _constraintPoint
+     * @param {body} [body]
+     * @param {vector} point
+     * @param {} [interpolated]
+     * @return {vector} The world-space point
+     */
+    Render._constraintPoint = function(body, point, interpolated) {
+        if (!body)
+            return point;
+
+        var copy = interpolated && interpolated[body.id];
+
+        if (!copy)
+            return Vector.add(body.position, point);
+
+        // the point turns with the body, so it is turned back along with the copy
+        return Vector.add(copy.position, Vector.rotate(point, copy.angle - body.angle));
+    };
+
     /**
      * Description
      * @private
@@ -1198,7 +1354,8 @@ var Mouse = require('../core/Mouse');
     };
 
     /**
-     * Description
+     * Renders the broadphase in use, which may be a `Matter.Grid`, `Matter.Tree`, `Matter.SAP` or any other controller.
+     * Grids show their occupied buckets, trees show their node bounds and other controllers show the bounds of each paired body.
      * @private
      * @method grid
      * @param {render} render
@@ -1217,6 +1374,26 @@ var Mouse = require('../core/Mouse');
 
         c.beginPath();
 
+        if (grid.controller === Grid) {
+            Render._gridBuckets(grid, c);
+        } else if (grid.controller === Tree) {
+            Render._treeNodes(grid, c);
+        } else {
+            Render._broadphasePairs(grid, c);
+        }
+
+        c.lineWidth = 1;
+        c.stroke();
+    };
+
+    /**
+     * Adds the buckets of a grid that contain more than one body to the current path.
+     * @private
+     * @method _gridBuckets
+     * @param {grid} grid
+     * @param {RenderingContext} context
+     */
+    Render._gridBuckets = function(grid, context) {
         var bucketKeys = Common.keys(grid.buckets);
 
         for (var i = 0; i < bucketKeys.length; i++) {
@@ -1226,14 +1403,59 @@ var Mouse = require('../core/Mouse');
                 continue;
 
             var region = bucketId.split(/C|R/);
-            c.rect(0.5 + parseInt(region[1], 10) * grid.bucketWidth,
+            context.rect(0.5 + parseInt(region[1], 10) * grid.bucketWidth,
                 0.5 + parseInt(region[2], 10) * grid.bucketHeight,
                 grid.bucketWidth,
                 grid.bucketHeight);
         }
+    };
 
-        c.lineWidth = 1;
-        c.stroke();
+    /**
+     * Adds the bounds of every node in a tree to the current path.
+     * @private
+     * @method _treeNodes
+     * @param {tree} tree
+     * @param {RenderingContext} context
+     */
+    Render._treeNodes = function(tree, context) {
+        var stack = [],
+            node = tree.root;
+
+        while (node) {
+            var bounds = node.bounds;
+
+            context.rect(0.5 + bounds.min.x, 0.5 + bounds.min.y, bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y);
+
+            if (node.left)
+                stack.push(node.left, node.right);
+
+            node = stack.pop();
+        }
+    };
+
+    /**
+     * Adds the bounds of every body in the broadphase pairs list to the current path.
+     * @private
+     * @method _broadphasePairs
+     * @param {} broadphase
+     * @param {RenderingContext} context
+     */
+    Render._broadphasePairs = function(broadphase, context) {
+        var pairsList = broadphase.pairsList || [],
+            found = {};
+
+        for (var i = 0; i < pairsList.length; i++) {
+            for (var j = 0; j < 2; j++) {
+                var body = pairsList[i][j],
+                    bounds = body.bounds;
+
+                if (found[body.id])
+                    continue;
+
+                found[body.id] = true;
+                context.rect(0.5 + bounds.min.x, 0.5 + bounds.min.y, bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y);
+            }
+        }
     };
 
     /**
@@ -1439,6 +1661,16 @@ var Mouse = require('../core/Mouse');
      * @type engine
      */
 
+    /**
+     * A reference to the `Matter.Runner` instance updating the engine, if any.
+     * When the runner accumulates time (see `runner.isAccumulated`), bodies are drawn between their previous and current positions using `runner.alpha`,
+     * so that their motion is smooth at any display refresh rate without changing the simulation.
+     *
+     * @property runner
+     * @type runner
+     * @default null
+     */
+
     /**
      * A reference to the element where the canvas is to be inserted (if `render.canvas` has not been specified)
      *
@@ -1510,4 +1742,11 @@ var Mouse = require('../core/Mouse');
      * @type {}
      */
 
+    /**
+     * The cache of copies that moving bodies are drawn from when interpolating between the runner's updates, by body id.
+     *
+     * @property interpolated
+     * @type {}
+     */
+
 })();
@@ -0,0 +1,90 @@
+/* eslint-env es6 */
+"use strict";
+
+const Matter = require('../src/module/main');
+
+const { Engine, World, Bodies, Body, Events } = Matter;
+
+const update = (engine, count) => {
+    for (let i = 0; i < count; i += 1) {
+        Engine.update(engine, 1000 / 60);
+    }
+};
+
+const createScene = options => {
+    const engine = Engine.create(options);
+    const platform = Bodies.rectangle(400, 400, 200, 20, { isKinematic: true });
+    const box = Bodies.rectangle(400, 360, 40, 40);
+    const ground = Bodies.rectangle(400, 600, 800, 50, { isStatic: true });
+
+    World.add(engine.world, [platform, box, ground]);
+
+    return { engine, platform, box, ground };
+};
+
+describe('Kinematic bodies', () => {
+    test('Have infinite mass and keep their velocity', () => {
+        const { engine, platform } = createScene();
+
+        expect(platform.mass).toBe(Infinity);
+        expect(platform.inverseMass).toBe(0);
+
+        Body.setVelocity(platform, { x: 1, y: 0 });
+        Body.setAngularVelocity(platform, 0.01);
+        update(engine, 60);
+
+        expect(platform.position.x).toBeCloseTo(460, 6);
+        expect(platform.position.y).toBeCloseTo(400, 6);
+        expect(platform.angle).toBeCloseTo(0.6, 6);
+        expect(platform.velocity).toEqual({ x: 1, y: 0 });
+    });
+
+    test('Push dynamic bodies and report collisions, but not with static bodies', () => {
+        const { engine, platform, box, ground } = createScene();
+        const pairs = [];
+
+        Events.on(engine, 'collisionStart', event => event.pairs.forEach(pair => pairs.push(pair)));
+
+        update(engine, 30);
+        Body.setVelocity(platform, { x: 0, y: -2 });
+        update(engine, 30);
+
+        expect(platform.position.y).toBeCloseTo(340, 6);
+        expect(box.position.y).toBeCloseTo(310, 0);
+        expect(box.velocity.y).toBeCloseTo(-2, 1);
+        expect(pairs.length).toBe(1);
+
+        Body.setVelocity(platform, { x: 0, y: 10 });
+        update(engine, 60);
+
+        expect(platform.position.y).toBeGreaterThan(800);
+        expect(pairs.filter(pair => pair.bodyA === ground || pair.bodyB === ground).map(pair => pair.bodyA === box || pair.bodyB === box)).toEqual([true]);
+    });
+
+    test('Wake the sleeping bodies they move', () => {
+        const { engine, platform, box } = createScene({ enableSleeping: true });
+
+        update(engine, 120);
+
+        expect(box.isSleeping).toBe(true);
+        expect(platform.isSleeping).toBe(false);
+
+        Body.setVelocity(platform, { x: 0.2, y: 0 });
+        update(engine, 60);
+
+        expect(box.isSleeping).toBe(false);
+        expect(platform.isSleeping).toBe(false);
+        expect(box.position.x).toBeGreaterThan(405);
+    });
+
+    test('Restore their mass when no longer kinematic', () => {
+        const { engine, platform } = createScene();
+        const mass = Bodies.rectangle(0, 0, 200, 20).mass;
+
+        Body.setKinematic(platform, false);
+        update(engine, 10);
+
+        expect(platform.mass).toBeCloseTo(mass, 6);
+        expect(platform.position.y).toBeGreaterThan(401);
+    });
+});
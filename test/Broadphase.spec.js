@@ -0,0 +1,142 @@
+/* eslint-env es6 */
+"use strict";
+
+jest.setTimeout(60 * 1000);
+
+const { runExample } = require('./ExampleWorker');
+const Matter = require('../src/module/main');
+
+const benchmarkExamples = ['stress', 'stress2'];
+const broadphases = ['Grid', 'Tree', 'SAP'];
+const controllers = ['Tree', 'SAP'];
+
+const overlappingPairIds = bodies => {
+    const ids = [];
+
+    for (let i = 0; i < bodies.length; i += 1) {
+        for (let j = i + 1; j < bodies.length; j += 1) {
+            const bodyA = bodies[i];
+            const bodyB = bodies[j];
+
+            if (!(bodyA.isStatic && bodyB.isStatic) && Matter.Bounds.overlaps(bodyA.bounds, bodyB.bounds)) {
+                ids.push(Matter.Pair.id(bodyA, bodyB));
+            }
+        }
+    }
+
+    return ids;
+};
+
+describe(`Broadphase controllers (${controllers.length})`, () => {
+    controllers.forEach(name => {
+        const Controller = Matter[name];
+
+        test(`${name} finds all pairs with overlapping bounds`, () => {
+            Matter.Common._seed = 1;
+
+            const engine = { world: Matter.World.create(), metrics: {} };
+            const broadphase = Controller.create();
+            const bodies = [Matter.Bodies.rectangle(0, 500, 5000, 50, { isStatic: true })];
+
+            for (let i = 0; i < 200; i += 1) {
+                const size = Matter.Common.random(2, 120);
+                bodies.push(Matter.Bodies.rectangle(Matter.Common.random(-2000, 2000), Matter.Common.random(0, 1000), size, size));
+            }
+
+            for (let step = 0; step < 60; step += 1) {
+                Controller.update(broadphase, bodies, engine, step === 0);
+
+                const found = broadphase.pairsList.map(pair => Matter.Pair.id(pair[0], pair[1]));
+
+                expect(found).toEqual(expect.arrayContaining(overlappingPairIds(bodies)));
+
+                for (let i = 1; i < bodies.length; i += 1) {
+                    Matter.Body.translate(bodies[i], {
+                        x: Matter.Common.random(-20, 20),
+                        y: Matter.Common.random(-20, 20)
+                    });
+                }
+            }
+        });
+
+        test(`${name} query finds all bodies overlapping bounds`, () => {
+            const engine = { world: Matter.World.create(), metrics: {} };
+            const broadphase = Controller.create();
+            const bodies = [];
+
+            for (let i = 0; i < 100; i += 1) {
+                bodies.push(Matter.Bodies.circle((i % 10) * 40, Math.floor(i / 10) * 40, 10));
+            }
+
+            Controller.update(broadphase, bodies, engine, true);
+
+            const bounds = { min: { x: 55, y: 55 }, max: { x: 145, y: 145 } };
+            const expected = bodies.filter(body => Matter.Bounds.overlaps(body.bounds, bounds));
+
+            expect(Controller.query(broadphase, bounds)).toEqual(expect.arrayContaining(expected));
+        });
+    });
+});
+
+describe('Broadphase options', () => {
+    test('Engine.create uses the given controller without modifying others', () => {
+        const update = Matter.Grid.update;
+
+        broadphases.forEach(name => {
+            const engine = Matter.Engine.create({ broadphase: { controller: Matter[name] } });
+            expect(engine.broadphase.controller).toBe(Matter[name]);
+        });
+
+        expect(Matter.Grid.update).toBe(update);
+        expect(Matter.Engine.create().broadphase.controller).toBe(Matter.Grid);
+    });
+});
+
+describe(`Broadphase consistency (${benchmarkExamples.length})`, () => {
+    benchmarkExamples.forEach(name => {
+        test(`${name} gives the same results with each broadphase`, () => {
+            // deterministic mode tests pairs in the same order whichever broadphase found them
+            const captures = broadphases.map(broadphase => runExample({
+                name,
+                broadphase,
+                useDev: true,
+                totalUpdates: 120,
+                jitter: 1e-10,
+                deterministic: true,
+                capturePairs: true
+            }));
+
+            expect(captures[0].pairIds[119].length).toBeGreaterThan(0);
+
+            captures.forEach(capture => {
+                expect(capture.pairIds).toEqual(captures[0].pairIds);
+                expect(capture.extrinsic).toEqual(captures[0].extrinsic);
+            });
+        });
+    });
+});
+
+describe(`Broadphase benchmark (${benchmarkExamples.length})`, () => {
+    const timings = {};
+
+    afterAll(() => {
+        // report all timings together
+        console.log('Broadphase benchmark (ms over 120 updates)\n' + Object.keys(timings).map(name =>
+            `${name}: ` + broadphases.map(broadphase => `${broadphase} ${timings[name][broadphase].toFixed(2)}`).join(', ')
+        ).join('\n'));
+    });
+
+    benchmarkExamples.forEach(name => {
+        test(`${name} is timed with each broadphase`, () => {
+            timings[name] = {};
+
+            broadphases.forEach(broadphase => {
+                const capture = runExample({ name, broadphase, useDev: true, totalUpdates: 120, jitter: 1e-10 });
+
+                timings[name][broadphase] = capture.duration / 1e6;
+
+                expect(capture.duration).toBeGreaterThan(0);
+            });
+        });
+    });
+});
@@ -0,0 +1,75 @@
+/* eslint-env es6 */
+"use strict";
+
+const Matter = require('../src/module/main');
+
+const { Engine, World, Bodies, Body, CCD } = Matter;
+
+const broadphases = ['Grid', 'Tree', 'SAP'];
+
+const fire = (options, engineOptions) => {
+    const engine = Engine.create(engineOptions);
+    const wall = Bodies.rectangle(400, 300, 4, 400, { isStatic: true });
+    const bullet = Bodies.circle(100, 300, 5, Object.assign({ frictionAir: 0 }, options));
+
+    engine.world.gravity.y = 0;
+    World.add(engine.world, [wall, bullet]);
+
+    Body.setVelocity(bullet, { x: 70, y: 0 });
+
+    for (let i = 0; i < 10; i += 1) {
+        Engine.update(engine, 1000 / 60);
+    }
+
+    return { engine, wall, bullet };
+};
+
+describe('CCD', () => {
+    test('Fast bodies pass through thin walls without it', () => {
+        const { bullet } = fire();
+
+        expect(bullet.position.x).toBeGreaterThan(400);
+    });
+
+    broadphases.forEach(broadphase => {
+        test(`Bullets stop at thin walls using ${broadphase}`, () => {
+            const { bullet } = fire({ isBullet: true }, { broadphase: { controller: Matter[broadphase] } });
+
+            expect(bullet.position.x).toBeLessThan(400);
+            expect(bullet.velocity.x).toBeLessThanOrEqual(0);
+        });
+    });
+
+    test('Fast bodies stop at thin walls when enabled on the engine', () => {
+        const { bullet } = fire({}, { enableCCD: true });
+
+        expect(bullet.position.x).toBeLessThan(400);
+    });
+
+    test('Bodies are only swept against bodies near their path', () => {
+        const engine = Engine.create();
+        const bullet = Bodies.circle(100, 300, 5, { isBullet: true });
+        const bodies = [];
+
+        engine.world.gravity.y = 0;
+
+        for (let i = 0; i < 100; i += 1) {
+            bodies.push(Bodies.rectangle(50 + (i % 10) * 80, 1000 + Math.floor(i / 10) * 80, 20, 20));
+        }
+
+        World.add(engine.world, bodies.concat([bullet, Bodies.rectangle(400, 300, 4, 400, { isStatic: true })]));
+        Engine.update(engine, 1000 / 60);
+
+        const canCollide = jest.spyOn(Matter.Detector, 'canCollide');
+
+        // the bullet moved through the wall during the last update
+        Body.setPosition(bullet, { x: 450, y: 300 });
+        Body.setVelocity(bullet, { x: 70, y: 0 });
+        CCD.update(Matter.Composite.allBodies(engine.world), false, engine);
+
+        expect(canCollide.mock.calls.length).toBeLessThan(5);
+        expect(bullet.position.x).toBeLessThan(400);
+
+        canCollide.mockRestore();
+    });
+});
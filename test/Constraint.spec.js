@@ -0,0 +1,125 @@
+/* eslint-env es6 */
+"use strict";
+
+const Matter = require('../src/module/main');
+
+const { Engine, World, Bodies, Composite, Composites, Constraint, Events, Joint, Vector } = Matter;
+
+const deltaTimeSquared = Math.pow(1000 / 60, 2);
+
+const update = (engine, count) => {
+    for (let i = 0; i < count; i += 1) {
+        Engine.update(engine, 1000 / 60);
+    }
+};
+
+describe('Constraint forces', () => {
+    test('Records the impulse applied in the last update', () => {
+        const engine = Engine.create();
+        const box = Bodies.rectangle(400, 300, 40, 40);
+        const constraint = Constraint.create({ pointA: { x: 400, y: 200 }, bodyB: box });
+
+        World.add(engine.world, [box, constraint]);
+        update(engine, 120);
+
+        // the constraint holds the weight of the box
+        expect(constraint.impulse.x).toBeCloseTo(0, 10);
+        expect(constraint.impulse.y / deltaTimeSquared).toBeCloseTo(-box.mass * 0.001, 6);
+        expect(constraint.strain).toBeGreaterThan(0);
+    });
+
+    test('Joints record the torque applied to lock rotation', () => {
+        const engine = Engine.create();
+        const wall = Bodies.rectangle(100, 300, 20, 200, { isStatic: true });
+        const beam = Bodies.rectangle(160, 300, 100, 20);
+        const weld = Joint.weld({ bodyA: wall, pointA: { x: 10, y: 0 }, bodyB: beam });
+
+        World.add(engine.world, [wall, beam, weld]);
+        update(engine, 120);
+
+        // the weld holds the weight of the beam at its centre, 50 units from the wall
+        expect(weld.impulse.angle / deltaTimeSquared).toBeCloseTo(-beam.mass * 0.001 * 50, 4);
+    });
+
+    test('Constraints without an impulse are given one on update', () => {
+        const engine = Engine.create();
+        const box = Bodies.rectangle(400, 300, 40, 40);
+        const constraint = Constraint.create({ pointA: { x: 400, y: 200 }, bodyB: box, breakForce: 1 });
+
+        // e.g. a constraint created or saved by an older version
+        delete constraint.impulse;
+
+        World.add(engine.world, [box, constraint]);
+        update(engine, 120);
+
+        expect(Composite.allConstraints(engine.world)).toEqual([constraint]);
+        expect(constraint.impulse.y / deltaTimeSquared).toBeCloseTo(-box.mass * 0.001, 6);
+    });
+});
+
+describe('Breakable constraints', () => {
+    const createBridge = options => {
+        const engine = Engine.create();
+        const bridge = Composites.stack(150, 300, 9, 1, 10, 0, (x, y) => Bodies.rectangle(x, y, 50, 20));
+
+        Composites.chain(bridge, 0.5, 0, -0.5, 0, Object.assign({ stiffness: 1 }, options));
+
+        World.add(engine.world, [
+            Composite.create({ composites: [bridge] }),
+            Constraint.create({ pointA: { x: 140, y: 300 }, bodyB: bridge.bodies[0], pointB: { x: -25, y: 0 } }),
+            Constraint.create({ pointA: { x: 700, y: 300 }, bodyB: bridge.bodies[8], pointB: { x: 25, y: 0 } })
+        ]);
+
+        return { engine, bridge };
+    };
+
+    test('Constraints within their break force hold', () => {
+        const { engine, bridge } = createBridge({ breakForce: 0.06 });
+        const broken = [];
+
+        Events.on(engine, 'constraintBreak', event => broken.push(...event.constraints));
+        update(engine, 120);
+
+        expect(broken).toEqual([]);
+        expect(bridge.constraints.length).toBe(8);
+    });
+
+    test('Constraints beyond their break force are removed and fire constraintBreak', () => {
+        const { engine, bridge } = createBridge({ breakForce: 0.06 });
+        const broken = [];
+
+        Events.on(engine, 'constraintBreak', event => {
+            expect(event.source).toBe(engine);
+            broken.push(...event.constraints);
+        });
+
+        update(engine, 60);
+
+        World.add(engine.world, Bodies.rectangle(400, 250, 60, 60, { density: 0.05 }));
+        update(engine, 60);
+
+        expect(broken.length).toBeGreaterThan(0);
+        broken.forEach(constraint => {
+            expect(bridge.constraints).not.toContain(constraint);
+            expect(Vector.magnitude(constraint.impulse) / deltaTimeSquared).toBeGreaterThan(0.06);
+        });
+        expect(bridge.bodies[4].position.y).toBeGreaterThan(400);
+    });
+
+    test('Joints beyond their break torque are removed', () => {
+        const engine = Engine.create();
+        const wall = Bodies.rectangle(100, 300, 20, 200, { isStatic: true });
+        const beam = Bodies.rectangle(160, 300, 100, 20);
+        const weld = Joint.weld({ bodyA: wall, pointA: { x: 10, y: 0 }, bodyB: beam, breakTorque: beam.mass * 0.001 * 60 });
+
+        World.add(engine.world, [wall, beam, weld]);
+        update(engine, 60);
+
+        expect(Composite.allConstraints(engine.world)).toEqual([weld]);
+
+        World.add(engine.world, Bodies.rectangle(200, 280, 20, 20));
+        update(engine, 60);
+
+        expect(Composite.allConstraints(engine.world)).toEqual([]);
+    });
+});
@@ -0,0 +1,315 @@
+/* eslint-env es6 */
+"use strict";
+
+const Matter = require('../src/module/main');
+
+const { Engine, World, Bodies, Body, Composite, Composites, Common, Joint } = Matter;
+
+const createScene = options => {
+    const engine = Engine.create(Object.assign({ deterministic: true, seed: 42 }, options));
+
+    const stack = Composites.stack(100, 50, 10, 5, 2, 2, (x, y, column, row) =>
+        (column + row) % 3 === 0 ? Bodies.circle(x, y, 15) : Bodies.polygon(x, y, 3 + column % 4, 18)
+    );
+
+    const car = Composites.car(500, 100, 150, 30, 30);
+    const aerial = Bodies.rectangle(500, 60, 4, 40);
+
+    car.constraints.forEach(axle => {
+        axle.enableMotor = true;
+        axle.motorSpeed = 0.1;
+    });
+
+    World.add(engine.world, [
+        stack,
+        car,
+        aerial,
+        Joint.prismatic({ bodyA: car.bodies[0], bodyB: aerial, axis: { x: 0, y: 1 }, stiffness: 0.5 }),
+        Bodies.rectangle(400, 600, 800, 50, { isStatic: true }),
+        Bodies.rectangle(0, 300, 50, 600, { isStatic: true }),
+        Bodies.rectangle(800, 300, 50, 600, { isStatic: true })
+    ]);
+
+    return engine;
+};
+
+const applyInputs = engine => {
+    const bodies = Composite.allBodies(engine.world);
+    const body = bodies[Math.floor(Engine.random(engine, 0, bodies.length))];
+
+    if (!body.isStatic) {
+        Body.applyForce(body, body.position, {
+            x: Engine.random(engine, -0.01, 0.01) * body.mass,
+            y: Engine.random(engine, -0.02, 0) * body.mass
+        });
+    }
+};
+
+const captureState = engine => Composite.allBodies(engine.world).map(body => [
+    body.position.x, body.position.y, body.angle, body.velocity.x, body.velocity.y, body.angularVelocity
+]);
+
+describe('Engine deterministic mode', () => {
+    test('Two engines given the same inputs produce identical states', () => {
+        const engineA = createScene({ broadphase: { controller: Matter.Grid } });
+
+        // change global state between creating the engines
+        Common.random();
+        Composites.stack(0, 0, 5, 5, 0, 0, (x, y) => Bodies.rectangle(x, y, 10, 10));
+
+        // use a different broadphase, so pairs are found in a different order
+        const engineB = createScene({ broadphase: { controller: Matter.SAP } });
+
+        for (let i = 0; i < 300; i += 1) {
+            applyInputs(engineA);
+            applyInputs(engineB);
+
+            // deltas are ignored in deterministic mode
+            Engine.update(engineA, 1000 / 60);
+            Engine.update(engineB, 1000 / 50 + (i % 3), 1.1);
+        }
+
+        expect(engineA.timing.timestamp).toBe(engineB.timing.timestamp);
+        expect(engineA.pairs.list.length).toBeGreaterThan(0);
+        expect(captureState(engineB)).toEqual(captureState(engineA));
+    });
+
+    test('Pairs are resolved in body order whatever their history', () => {
+        const engineA = createScene();
+        const engineB = createScene();
+        const solveOrder = engine => {
+            const bodies = Composite.allBodies(engine.world);
+
+            return engine.pairs.list.map(pair => [pair.collision.parentA, pair.collision.parentB]
+                .map(body => bodies.indexOf(body))
+                .sort((a, b) => a - b));
+        };
+
+        const solvePosition = jest.spyOn(Matter.Resolver, 'solvePosition');
+
+        for (let i = 0; i < 300; i += 1) {
+            // as if engine B had found its pairs in a different order, e.g. after being restored
+            if (i === 150)
+                engineB.pairs.list.reverse();
+
+            applyInputs(engineA);
+            applyInputs(engineB);
+            Engine.update(engineA);
+            Engine.update(engineB);
+        }
+
+        const order = solveOrder(engineA);
+        const solved = solvePosition.mock.calls[solvePosition.mock.calls.length - 1][0];
+
+        solvePosition.mockRestore();
+
+        expect(order.length).toBeGreaterThan(0);
+        expect(solved).toBe(engineB.pairs.list);
+        expect(solveOrder(engineB)).toEqual(order);
+        expect(order).toEqual(order.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]));
+        expect(captureState(engineB)).toEqual(captureState(engineA));
+    });
+
+    test('Engine.random is seeded per engine', () => {
+        const engineA = Engine.create({ seed: 7 });
+        const engineB = Engine.create({ seed: 7 });
+        const sequenceA = [Engine.random(engineA), Engine.random(engineA, 5, 10)];
+
+        Common.random();
+
+        expect([Engine.random(engineB), Engine.random(engineB, 5, 10)]).toEqual(sequenceA);
+        expect(sequenceA[1]).toBeGreaterThanOrEqual(5);
+        expect(sequenceA[1]).toBeLessThanOrEqual(10);
+    });
+});
+
+describe('Engine snapshot', () => {
+    test('Restoring a snapshot repeats the same updates', () => {
+        const engine = createScene({ enableSleeping: true });
+
+        for (let i = 0; i < 60; i += 1) {
+            applyInputs(engine);
+            Engine.update(engine);
+        }
+
+        const snapshot = Engine.snapshot(engine);
+        const states = [];
+
+        for (let i = 0; i < 60; i += 1) {
+            applyInputs(engine);
+            Engine.update(engine);
+            states.push(captureState(engine));
+        }
+
+        const timestamp = engine.timing.timestamp;
+
+        Engine.restore(engine, snapshot);
+
+        for (let i = 0; i < 60; i += 1) {
+            applyInputs(engine);
+            Engine.update(engine);
+            expect(captureState(engine)).toEqual(states[i]);
+        }
+
+        expect(engine.timing.timestamp).toBe(timestamp);
+    });
+
+    test('Snapshots can be reused', () => {
+        const engine = createScene();
+        const snapshot = Engine.snapshot(engine);
+
+        Engine.update(engine);
+
+        const values = snapshot.values;
+
+        expect(Engine.snapshot(engine, snapshot)).toBe(snapshot);
+        expect(snapshot.values).toBe(values);
+        expect(snapshot.timestamp).toBe(engine.timing.timestamp);
+    });
+});
+
+describe('Engine substeps', () => {
+    const createStack = substeps => {
+        const engine = Engine.create({ substeps });
+        const stack = Composites.stack(380, 100, 1, 12, 0, 0, (x, y) => Bodies.rectangle(x, y, 40, 40));
+        const ball = Bodies.circle(100, 500, 20);
+
+        World.add(engine.world, [stack, ball, Bodies.rectangle(400, 600, 800, 50, { isStatic: true })]);
+
+        return { engine, stack, ball };
+    };
+
+    test('Substeps keep velocities in units per update', () => {
+        const single = createStack(1);
+        const substepped = createStack(4);
+
+        for (let i = 0; i < 10; i += 1) {
+            Engine.update(single.engine, 1000 / 60);
+            Engine.update(substepped.engine, 1000 / 60);
+        }
+
+        expect(substepped.ball.velocity.y).toBeCloseTo(single.ball.velocity.y, 1);
+        expect(substepped.ball.position.y).toBeCloseTo(single.ball.position.y, -1);
+    });
+
+    test('Substeps improve the stability of stacks', () => {
+        const single = createStack(1);
+        const substepped = createStack(4);
+
+        for (let i = 0; i < 240; i += 1) {
+            Engine.update(single.engine, 1000 / 60);
+            Engine.update(substepped.engine, 1000 / 60);
+        }
+
+        const sag = ({ stack }) => stack.bodies[0].position.y - 115;
+
+        expect(sag(substepped)).toBeLessThan(5);
+        expect(sag(substepped)).toBeLessThan(sag(single) / 2);
+    });
+
+    test('Collision events are triggered once per update', () => {
+        const { engine, ball } = createStack(4);
+        const events = { collisionStart: [], collisionActive: [], collisionEnd: [] };
+
+        Object.keys(events).forEach(name => Matter.Events.on(engine, name, event => {
+            events[name].push(...event.pairs);
+        }));
+
+        for (let i = 0; i < 120; i += 1) {
+            Engine.update(engine, 1000 / 60);
+        }
+
+        // each box in the stack, and the ball, starts resting on the one below once
+        expect(events.collisionStart.length).toBe(13);
+        expect(events.collisionEnd).toEqual([]);
+        expect(events.collisionActive.filter(pair => pair.bodyA === ball || pair.bodyB === ball).length).toBeGreaterThan(60);
+        expect(events.collisionActive.length).toBeLessThanOrEqual(120 * 13);
+    });
+});
+
+describe('Engine timestep', () => {
+    const createScene = () => {
+        const engine = Engine.create();
+        const ball = Bodies.circle(100, 100, 20, { restitution: 0.8, frictionAir: 0.02 });
+        const box = Bodies.rectangle(300, 560, 40, 40, { friction: 0.1 });
+        const arm = Bodies.rectangle(600, 100, 100, 20);
+        const weight = Bodies.circle(400, 250, 15);
+
+        World.add(engine.world, [
+            ball,
+            box,
+            arm,
+            weight,
+            Joint.revolute({ pointA: { x: 550, y: 100 }, bodyB: arm, pointB: { x: -50, y: 0 }, enableMotor: true, motorSpeed: 0.05, maxMotorTorque: 0.5 }),
+            Matter.Constraint.create({ pointA: { x: 400, y: 100 }, bodyB: weight, stiffness: 0.01, damping: 0.05 }),
+            Bodies.rectangle(400, 600, 800, 40, { isStatic: true })
+        ]);
+
+        return { engine, bodies: [ball, box, arm, weight] };
+    };
+
+    const trajectory = deltas => {
+        const { engine, bodies } = createScene();
+        const samples = [];
+        let time = 0;
+
+        // slide the box along the ground at 5px per 1000 / 60 ms
+        Body.setVelocity(bodies[1], { x: 5 * deltas[0] / (1000 / 60), y: 0 });
+
+        deltas.forEach(delta => {
+            Engine.update(engine, delta);
+            time += delta;
+
+            if (Math.round(time) % 500 === 0) {
+                samples.push(bodies.map(body => ({ x: body.position.x, y: body.position.y, angle: body.angle })));
+            }
+        });
+
+        return samples;
+    };
+
+    const expectSimilar = (samples, expected) => {
+        expect(samples.length).toBe(expected.length);
+
+        samples.forEach((sample, i) => sample.forEach((state, j) => {
+            expect(Math.abs(state.x - expected[i][j].x)).toBeLessThan(10);
+            expect(Math.abs(state.y - expected[i][j].y)).toBeLessThan(10);
+            expect(Math.abs(state.angle - expected[i][j].angle)).toBeLessThan(0.25);
+        }));
+    };
+
+    const fixed = (rate, duration) => new Array(rate * duration / 1000).fill(1000 / rate);
+
+    test('Scenes follow the same trajectories at different rates', () => {
+        const expected = trajectory(fixed(60, 2000));
+
+        expectSimilar(trajectory(fixed(30, 2000)), expected);
+        expectSimilar(trajectory(fixed(120, 2000)), expected);
+    });
+
+    test('Velocities are corrected when the delta changes between updates', () => {
+        const expected = trajectory(fixed(60, 2000));
+        const deltas = [];
+
+        for (let i = 0; i < 20; i += 1) {
+            deltas.push(...(i % 2 === 0 ? fixed(30, 100) : fixed(120, 100)));
+        }
+
+        expectSimilar(trajectory(deltas), expected);
+    });
+
+    test('Changes in timeScale are not corrected, and a given correction is always used', () => {
+        const { engine } = createScene();
+        const corrections = [];
+
+        Matter.Events.on(engine, 'beforeUpdate', event => corrections.push(event.correction));
+
+        Engine.update(engine, 1000 / 60);
+        engine.timing.timeScale = 0.5;
+        Engine.update(engine, 1000 / 60);
+        Engine.update(engine, 1000 / 30);
+        Engine.update(engine, 1000 / 30, 0);
+
+        expect(corrections).toEqual([1, 1, 2, 0]);
+    });
+});
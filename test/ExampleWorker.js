@@ -39,7 +39,16 @@ const runExample = options => {
 
   const example = Example[options.name]();
   const engine = example.engine;
+
+  if (options.broadphase) {
+    engine.broadphase = Matter[options.broadphase].create();
+  }
+
+  if (options.deterministic) {
+    engine.deterministic = true;
+  }
   
+  const pairIds = [];
   let totalDuration = 0;
   let overlapTotal = 0;
   let overlapCount = 0;
@@ -65,6 +74,10 @@ const runExample = options => {
       const duration = process.hrtime(startTime);
       totalDuration += duration[0] * 1e9 + duration[1];
 
+      if (options.capturePairs) {
+        pairIds.push(engine.pairs.list.filter(pair => pair.isActive).map(pair => pair.id).sort());
+      }
+
       for (let p = 0; p < engine.pairs.list.length; p += 1) {
         const pair = engine.pairs.list[p];
         const separation = pair.separation - pair.slop;
@@ -86,6 +99,7 @@ const runExample = options => {
     name: options.name,
     duration: totalDuration,
     overlap: overlapTotal / (overlapCount || 1),
+    pairIds,
     ...engineCapture(engine)
   };
 };
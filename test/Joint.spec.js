@@ -0,0 +1,334 @@
+/* eslint-env es6 */
+"use strict";
+
+const Matter = require('../src/module/main');
+
+const { Engine, World, Bodies, Composites, Joint, Vector } = Matter;
+
+const update = (engine, count) => {
+    for (let i = 0; i < count; i += 1) {
+        Engine.update(engine, 1000 / 60);
+    }
+};
+
+const createPendulum = options => {
+    const engine = Engine.create();
+    const arm = Bodies.rectangle(300, 100, 200, 20);
+
+    const joint = Joint.revolute(Object.assign({
+        pointA: { x: 200, y: 100 },
+        bodyB: arm,
+        pointB: { x: -100, y: 0 }
+    }, options));
+
+    World.add(engine.world, [arm, joint]);
+
+    return { engine, arm, joint };
+};
+
+describe('Joint.revolute', () => {
+    test('Keeps the anchors together while the bodies rotate freely', () => {
+        const { engine, arm, joint } = createPendulum();
+
+        update(engine, 120);
+
+        const anchorB = Vector.add(arm.position, joint.pointB);
+
+        expect(Vector.magnitude(Vector.sub(anchorB, joint.pointA))).toBeLessThan(1);
+        expect(Joint.angle(joint)).toBeGreaterThan(0.5);
+    });
+
+    test('Keeps the joint angle within its limits', () => {
+        const { engine, joint } = createPendulum({ enableLimit: true, lowerAngle: -0.2, upperAngle: 0.3 });
+
+        for (let i = 0; i < 120; i += 1) {
+            Engine.update(engine, 1000 / 60);
+
+            expect(Joint.angle(joint)).toBeGreaterThanOrEqual(-0.2 - 1e-6);
+            expect(Joint.angle(joint)).toBeLessThanOrEqual(0.3 + 1e-6);
+        }
+
+        expect(Joint.angle(joint)).toBeCloseTo(0.3, 3);
+    });
+
+    test('Motor drives the joint at its speed, limited by its torque', () => {
+        const { engine, joint } = createPendulum({ enableMotor: true, motorSpeed: -0.05, maxMotorTorque: 100 });
+
+        engine.world.gravity.y = 0;
+        update(engine, 30);
+
+        expect(Joint.angularSpeed(joint)).toBeCloseTo(-0.05, 3);
+
+        joint.maxMotorTorque = 0.01;
+        joint.motorSpeed = 0.05;
+        update(engine, 1);
+
+        expect(Joint.angularSpeed(joint)).toBeLessThan(-0.04);
+    });
+
+    test('Composites.car drives forward using its wheel motors', () => {
+        const engine = Engine.create();
+        const car = Composites.car(150, 540, 135, 27, 27);
+
+        World.add(engine.world, [car, Bodies.rectangle(1000, 600, 3000, 50, { isStatic: true })]);
+        update(engine, 60);
+
+        const start = car.bodies[0].position.x;
+
+        car.constraints.forEach(axle => {
+            axle.enableMotor = true;
+            axle.motorSpeed = 0.1;
+        });
+
+        update(engine, 120);
+
+        expect(car.bodies[0].position.x - start).toBeGreaterThan(100);
+        expect(Math.abs(car.bodies[0].angle)).toBeLessThan(0.1);
+    });
+});
+
+describe('Joint.prismatic', () => {
+    const createSlider = options => {
+        const engine = Engine.create();
+        const platform = Bodies.rectangle(400, 300, 120, 20);
+
+        const joint = Joint.prismatic(Object.assign({
+            pointA: { x: 400, y: 300 },
+            bodyB: platform,
+            axis: { x: 0, y: -1 }
+        }, options));
+
+        World.add(engine.world, [platform, joint]);
+
+        return { engine, platform, joint };
+    };
+
+    test('Only allows movement along its axis, without rotation', () => {
+        const { engine, platform, joint } = createSlider({ axis: { x: 1, y: 1 } });
+
+        Matter.Body.applyForce(platform, { x: 450, y: 300 }, { x: 0.01, y: -0.02 });
+        update(engine, 60);
+
+        const delta = Vector.sub(platform.position, joint.pointA);
+
+        expect(Math.abs(delta.x - delta.y)).toBeLessThan(0.01);
+        expect(delta.y).toBeGreaterThan(50);
+        expect(platform.angle).toBeCloseTo(0, 5);
+    });
+
+    test('Keeps the translation within its limits', () => {
+        const { engine, joint } = createSlider({ enableLimit: true, lowerTranslation: -40, upperTranslation: 20 });
+
+        for (let i = 0; i < 120; i += 1) {
+            Engine.update(engine, 1000 / 60);
+
+            expect(Joint.translation(joint)).toBeGreaterThanOrEqual(-40 - 1e-6);
+        }
+
+        expect(Joint.translation(joint)).toBeCloseTo(-40, 1);
+    });
+
+    test('Motor lifts the body at its speed, limited by its force', () => {
+        const { engine, platform, joint } = createSlider({ enableMotor: true, motorSpeed: 2, maxMotorForce: 1 });
+
+        update(engine, 30);
+
+        expect(Joint.translationSpeed(joint)).toBeCloseTo(2, 3);
+        expect(platform.position.y).toBeLessThan(260);
+
+        joint.maxMotorForce = platform.mass * 0.0005;
+        update(engine, 60);
+
+        expect(Joint.translationSpeed(joint)).toBeLessThan(0);
+    });
+});
+
+describe('Joint.weld', () => {
+    const createBeam = options => {
+        const engine = Engine.create();
+        const wall = Bodies.rectangle(100, 300, 20, 200, { isStatic: true });
+        const beam = Bodies.rectangle(160, 300, 100, 20);
+        const joint = Joint.weld(Object.assign({ bodyA: wall, pointA: { x: 10, y: 0 }, bodyB: beam }, options));
+
+        World.add(engine.world, [wall, beam, joint]);
+
+        return { engine, beam, joint };
+    };
+
+    test('Locks the relative position and angle of the bodies', () => {
+        const { engine, beam, joint } = createBeam();
+
+        expect(joint.pointB).toEqual({ x: -50, y: 0 });
+
+        update(engine, 120);
+
+        expect(beam.position.x).toBeCloseTo(160, 0);
+        expect(beam.position.y).toBeCloseTo(300, 0);
+        expect(beam.angle).toBeCloseTo(0, 2);
+    });
+
+    test('Soft welds bend under load', () => {
+        const { engine, beam } = createBeam({ stiffness: 0.005, damping: 0.1 });
+
+        update(engine, 120);
+
+        expect(beam.angle).toBeGreaterThan(0.05);
+        expect(beam.angle).toBeLessThan(0.5);
+        expect(beam.position.y).toBeLessThan(330);
+    });
+
+    test('Breaks beyond its threshold and fires constraintBreak', () => {
+        const { engine, beam, joint } = createBeam({ breakThreshold: 5 });
+        const events = [];
+
+        Matter.Events.on(engine, 'constraintBreak', event => events.push(event.constraints));
+
+        update(engine, 30);
+
+        expect(events.length).toBe(0);
+        expect(joint.strain).toBeLessThan(1);
+
+        Matter.Body.setVelocity(beam, { x: 0, y: 30 });
+        update(engine, 1);
+
+        expect(events).toEqual([[joint]]);
+        expect(Matter.Composite.allConstraints(engine.world)).toEqual([]);
+
+        update(engine, 30);
+
+        expect(beam.position.y).toBeGreaterThan(400);
+    });
+});
+
+describe('Joint.rope', () => {
+    const createRope = () => {
+        const engine = Engine.create();
+        const ball = Bodies.circle(400, 200, 20);
+        const joint = Joint.rope({ pointA: { x: 400, y: 100 }, bodyB: ball, length: 150 });
+
+        World.add(engine.world, [ball, joint]);
+
+        return { engine, ball, joint };
+    };
+
+    test('Is slack below its length', () => {
+        const { engine, ball } = createRope();
+
+        update(engine, 10);
+
+        expect(ball.position.y).toBeGreaterThan(210);
+        expect(ball.velocity.y).toBeGreaterThan(2);
+    });
+
+    test('Is taut at its length', () => {
+        const { engine, ball, joint } = createRope();
+
+        Matter.Body.setVelocity(ball, { x: 8, y: 0 });
+        update(engine, 120);
+
+        expect(Vector.magnitude(Vector.sub(ball.position, joint.pointA))).toBeLessThan(150.5);
+        expect(ball.position.y).toBeGreaterThan(200);
+    });
+});
+
+describe('Joint.pulley', () => {
+    const createPulley = (massB, ratio) => {
+        const engine = Engine.create();
+        const boxA = Bodies.rectangle(300, 400, 40, 40);
+        const boxB = Bodies.rectangle(500, 400, 40, 40, { density: 0.001 * massB });
+
+        const joint = Joint.pulley({
+            bodyA: boxA,
+            bodyB: boxB,
+            groundA: { x: 300, y: 100 },
+            groundB: { x: 500, y: 100 },
+            ratio
+        });
+
+        World.add(engine.world, [boxA, boxB, joint]);
+
+        return { engine, boxA, boxB, joint };
+    };
+
+    test('Keeps the total length of rope constant', () => {
+        const { engine, boxA, boxB, joint } = createPulley(3, 1);
+
+        expect(joint.length).toBeCloseTo(600, 6);
+
+        update(engine, 60);
+
+        const lengths = Joint.pulleyLengths(joint);
+
+        expect(boxB.position.y).toBeGreaterThan(450);
+        expect(boxA.position.y).toBeLessThan(350);
+        expect(lengths.a + lengths.b).toBeCloseTo(600, 0);
+    });
+
+    test('Balances bodies whose masses match its ratio', () => {
+        const { engine, boxA, boxB, joint } = createPulley(2, 2);
+
+        expect(joint.render.type).toBe('pulley');
+        expect(joint.length).toBeCloseTo(900, 6);
+
+        update(engine, 60);
+
+        expect(boxA.position.y).toBeCloseTo(400, 0);
+        expect(boxB.position.y).toBeCloseTo(400, 0);
+    });
+
+    test('Warns and defaults missing ground points to its points', () => {
+        const warn = jest.spyOn(Matter.Common, 'warn').mockImplementation(() => {});
+        const boxA = Bodies.rectangle(300, 400, 40, 40);
+        const boxB = Bodies.rectangle(500, 400, 40, 40);
+        const joint = Joint.pulley({ bodyA: boxA, bodyB: boxB, groundB: { x: 500, y: 100 } });
+
+        expect(warn).toHaveBeenCalledTimes(1);
+        expect(warn.mock.calls[0][0]).toMatch('groundA');
+        expect(joint.groundA).toEqual({ x: 300, y: 400 });
+        expect(joint.groundB).toEqual({ x: 500, y: 100 });
+        expect(joint.length).toBeCloseTo(300, 6);
+
+        warn.mockRestore();
+    });
+});
+
+describe('Joint.gear', () => {
+    test('Couples the rotation of free bodies', () => {
+        const engine = Engine.create();
+        const gearA = Bodies.circle(300, 300, 40);
+        const gearB = Bodies.circle(380, 300, 20);
+        const joint = Joint.gear({ bodyA: gearA, bodyB: gearB, ratio: 2 });
+
+        engine.world.gravity.y = 0;
+        World.add(engine.world, [gearA, gearB, joint]);
+
+        Matter.Body.setAngularVelocity(gearA, 0.05);
+        update(engine, 60);
+
+        expect(gearA.angle * 2 + gearB.angle).toBeCloseTo(joint.referenceAngle, 6);
+        expect(gearA.angle).not.toBeCloseTo(0, 1);
+        expect(gearA.position).toEqual({ x: 300, y: 300 });
+    });
+
+    test('Drives a gear train pinned by revolute joints', () => {
+        const engine = Engine.create();
+        const gears = [Bodies.circle(200, 300, 40), Bodies.circle(260, 300, 20), Bodies.circle(320, 300, 40)];
+        const pins = gears.map(gear => Joint.revolute({ pointA: { x: gear.position.x, y: gear.position.y }, bodyB: gear }));
+
+        pins[0].enableMotor = true;
+        pins[0].motorSpeed = 0.02;
+        pins[0].maxMotorTorque = 10;
+
+        World.add(engine.world, gears.concat(pins, [
+            Joint.gear({ bodyA: gears[0], bodyB: gears[1], ratio: 2 }),
+            Joint.gear({ bodyA: gears[1], bodyB: gears[2], ratio: 0.5 })
+        ]));
+
+        update(engine, 60);
+
+        expect(gears[0].angularVelocity).toBeCloseTo(0.02, 2);
+        expect(gears[1].angularVelocity / gears[0].angularVelocity).toBeCloseTo(-2, 1);
+        expect(gears[2].angularVelocity / gears[0].angularVelocity).toBeCloseTo(1, 1);
+        expect(gears[2].position.y).toBeCloseTo(300, 1);
+    });
+});
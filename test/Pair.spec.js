@@ -0,0 +1,266 @@
+/* eslint-env es6 */
+"use strict";
+
+const Matter = require('../src/module/main');
+
+const { Engine, World, Bodies, Body, Events } = Matter;
+
+const deltaTimeSquared = Math.pow(1000 / 60, 2);
+
+const createScene = () => {
+    const engine = Engine.create();
+    const box = Bodies.rectangle(400, 450, 40, 40);
+    const ground = Bodies.rectangle(400, 500, 800, 50, { isStatic: true });
+
+    World.add(engine.world, [box, ground]);
+
+    return { engine, box, ground };
+};
+
+const update = (engine, count) => {
+    for (let i = 0; i < count; i += 1) {
+        Engine.update(engine, 1000 / 60);
+    }
+};
+
+describe('Pair impulse summary', () => {
+    test('Reports the approach speed at collisionStart and the impact impulse after resolving', () => {
+        const { engine, box } = createScene();
+        const starts = [];
+        let impact = null;
+
+        Events.on(engine, 'collisionStart', event => {
+            starts.push(event.pairs[0].approachSpeed);
+            impact = event.pairs[0];
+        });
+
+        while (!impact) {
+            update(engine, 1);
+        }
+
+        expect(starts.length).toBe(1);
+        expect(starts[0]).toBeGreaterThan(1);
+
+        // the box does not bounce, so the impulse stops it
+        expect(impact.totalNormalImpulse).toBeCloseTo(box.mass * impact.approachSpeed, 1);
+        expect(impact.maxNormalImpulse).toBeCloseTo(impact.totalNormalImpulse / 2, 6);
+    });
+
+    test('Resting contacts report the impulse holding the body up', () => {
+        const { engine, box } = createScene();
+
+        update(engine, 60);
+
+        const pair = engine.pairs.list[0];
+
+        expect(pair.totalNormalImpulse).toBeCloseTo(box.mass * 0.001 * deltaTimeSquared, 6);
+        expect(pair.totalTangentImpulse).toBeCloseTo(0, 6);
+        expect(pair.contactPoints.length).toBe(2);
+
+        pair.contactPoints.forEach(point => {
+            expect(point.y).toBeCloseTo(475, 0);
+            expect(Math.abs(point.x - 400)).toBeCloseTo(20, 6);
+        });
+    });
+
+    test('Sliding contacts report friction impulses', () => {
+        const { engine, box } = createScene();
+
+        update(engine, 60);
+        Body.setVelocity(box, { x: 5, y: 0 });
+        update(engine, 1);
+
+        const pair = engine.pairs.list[0];
+
+        expect(Math.abs(pair.totalTangentImpulse)).toBeGreaterThan(0);
+        expect(pair.totalTangentImpulse).toBeCloseTo(
+            pair.contactPoints[0].tangentImpulse + pair.contactPoints[1].tangentImpulse, 10
+        );
+    });
+
+    test('Ended pairs have no contact points', () => {
+        const { engine, box } = createScene();
+
+        update(engine, 60);
+        Body.setPosition(box, { x: 400, y: 100 });
+        update(engine, 1);
+
+        const pair = engine.pairs.list[0];
+
+        expect(pair.isActive).toBe(false);
+        expect(pair.contactPoints).toEqual([]);
+        expect(pair.totalNormalImpulse).toBe(0);
+    });
+});
+
+describe('Pair solve events', () => {
+    test('preSolve can disable a pair for the current update only', () => {
+        const { engine, box } = createScene();
+        const starts = [];
+        let disable = true;
+
+        update(engine, 60);
+
+        const restY = box.position.y;
+
+        Events.on(engine, 'collisionStart', event => starts.push(event.pairs.length));
+        Events.on(engine, 'preSolve', event => event.pairs.forEach(pair => {
+            if (disable) {
+                pair.isEnabled = false;
+            }
+        }));
+
+        update(engine, 1);
+        disable = false;
+
+        const pair = engine.pairs.list[0];
+
+        expect(pair.isEnabled).toBe(false);
+        expect(pair.totalNormalImpulse).toBe(0);
+        expect(box.position.y).toBeGreaterThan(restY);
+
+        const fallSpeed = box.velocity.y;
+
+        // the pair is enabled and supports the box again on the following update
+        update(engine, 1);
+
+        expect(pair.isEnabled).toBe(true);
+        expect(pair.isActive).toBe(true);
+        expect(pair.totalNormalImpulse).toBeGreaterThan(0);
+        expect(box.velocity.y).toBeLessThan(fallSpeed / 10);
+
+        update(engine, 30);
+
+        expect(box.position.y).toBeCloseTo(restY, 1);
+        expect(starts).toEqual([]);
+    });
+
+    test('preSolve can override restitution', () => {
+        const { engine, box } = createScene();
+
+        Events.on(engine, 'preSolve', event => event.pairs.forEach(pair => {
+            pair.restitution = 1;
+        }));
+
+        Body.setPosition(box, { x: 400, y: 300 });
+
+        while (box.velocity.y <= 0) {
+            update(engine, 1);
+        }
+
+        while (box.velocity.y >= 0) {
+            update(engine, 1);
+        }
+
+        expect(box.velocity.y).toBeLessThan(-1);
+    });
+
+    test('preSolve can set a surface velocity', () => {
+        const { engine } = createScene();
+
+        update(engine, 30);
+
+        Events.on(engine, 'preSolve', event => event.pairs.forEach(pair => {
+            pair.friction = 1;
+            pair.surfaceVelocity = 2;
+        }));
+
+        update(engine, 30);
+
+        const pair = engine.pairs.list[0];
+        const relativeVelocity = Matter.Vector.sub(pair.bodyA.velocity, pair.bodyB.velocity);
+
+        expect(Matter.Vector.dot(relativeVelocity, pair.collision.tangent)).toBeCloseTo(2, 2);
+    });
+
+    test('postSolve reports resolved pairs', () => {
+        const { engine, box } = createScene();
+        const impulses = [];
+
+        update(engine, 60);
+
+        Events.on(engine, 'postSolve', event => impulses.push(event.pairs[0].totalNormalImpulse));
+
+        update(engine, 1);
+
+        expect(impulses.length).toBe(1);
+        expect(impulses[0]).toBeCloseTo(box.mass * 0.001 * deltaTimeSquared, 6);
+    });
+});
+
+describe('One-way bodies', () => {
+    const createPlatform = () => {
+        const engine = Engine.create();
+        const box = Bodies.rectangle(400, 450, 40, 40);
+        const platform = Bodies.rectangle(400, 300, 200, 20, { isStatic: true, oneWayNormal: { x: 0, y: -1 } });
+
+        World.add(engine.world, [box, platform]);
+
+        return { engine, box, platform };
+    };
+
+    test('Collide from the side of their normal', () => {
+        const { engine, box } = createPlatform();
+
+        Body.setPosition(box, { x: 400, y: 200 });
+        update(engine, 60);
+
+        expect(box.position.y).toBeCloseTo(270, 0);
+        expect(engine.pairs.list[0].isPassingThrough).toBe(false);
+    });
+
+    test('Let bodies pass through from other sides, then land on top', () => {
+        const { engine, box } = createPlatform();
+        const events = [];
+
+        ['collisionStart', 'collisionActive', 'collisionEnd', 'preSolve', 'postSolve'].forEach(name => {
+            Events.on(engine, name, () => events.push(name));
+        });
+
+        Body.setVelocity(box, { x: 0, y: -12 });
+
+        while (engine.pairs.list.length === 0) {
+            update(engine, 1);
+        }
+
+        expect(engine.pairs.list[0].isPassingThrough).toBe(true);
+        expect(engine.pairs.list[0].isEnabled).toBe(false);
+
+        // passing through triggers no events
+        while (box.velocity.y < 0) {
+            update(engine, 1);
+        }
+
+        expect(events).toEqual([]);
+
+        update(engine, 110);
+
+        expect(box.position.y).toBeCloseTo(270, 0);
+        expect(events.filter(name => name.indexOf('collision') === 0).slice(0, 2)).toEqual(['collisionStart', 'collisionActive']);
+        expect(events).not.toContain('collisionEnd');
+    });
+
+    test('Rotate their normal with the body', () => {
+        const { engine, box, platform } = createPlatform();
+
+        Body.setAngle(platform, Math.PI);
+        Body.setPosition(box, { x: 400, y: 200 });
+        update(engine, 60);
+
+        expect(box.position.y).toBeGreaterThan(400);
+    });
+});
+
+describe('Surface velocity', () => {
+    test('Carries bodies along without moving the surface', () => {
+        const { engine, box, ground } = createScene();
+
+        ground.surfaceVelocity = 1;
+        update(engine, 120);
+
+        expect(box.velocity.x).toBeCloseTo(1, 2);
+        expect(box.position.x).toBeGreaterThan(450);
+        expect(ground.position).toEqual({ x: 400, y: 500 });
+        expect(ground.velocity).toEqual({ x: 0, y: 0 });
+    });
+});
@@ -0,0 +1,294 @@
+/* eslint-env es6 */
+"use strict";
+
+const Matter = require('../src/module/main');
+
+const { Engine, World, Bodies, Body, Query, Vector } = Matter;
+
+const broadphases = ['Grid', 'Tree', 'SAP'];
+
+describe('Query with an engine', () => {
+    const createWorld = broadphase => {
+        const engine = Engine.create({ broadphase: { controller: Matter[broadphase] } });
+        const bodies = [];
+
+        engine.world.gravity.y = 0;
+
+        for (let i = 0; i < 20; i += 1) {
+            bodies.push(Bodies.rectangle(50 + (i % 5) * 100, 50 + Math.floor(i / 5) * 100, 40, 40));
+        }
+
+        World.add(engine.world, bodies);
+        Engine.update(engine, 1000 / 60);
+
+        return { engine, bodies };
+    };
+
+    broadphases.forEach(broadphase => {
+        test(`${broadphase} finds bodies moved since the last update after the next update`, () => {
+            const { engine, bodies } = createWorld(broadphase);
+            const body = bodies[0];
+
+            Body.setPosition(body, { x: 1000, y: 500 });
+
+            // the broadphase is as it stood after the last update, but bodies are only returned where they are now
+            expect(Query.point(engine, { x: 50, y: 50 })).toEqual([]);
+            expect(Query.point(engine, { x: 1000, y: 500 })).toEqual([]);
+
+            Engine.update(engine, 1000 / 60);
+
+            expect(Query.point(engine, { x: 1000, y: 500 })).toEqual([body]);
+            expect(Query.region(engine, { min: { x: 950, y: 450 }, max: { x: 1050, y: 550 } })).toEqual([body]);
+            expect(Query.raycast(engine, { x: 1000, y: 0 }, { x: 1000, y: 1000 }).map(hit => hit.body)).toEqual([body]);
+
+            // the leftmost body along the sweep axis moved past all others
+            Body.setPosition(bodies[19], { x: -500, y: 50 });
+            Engine.update(engine, 1000 / 60);
+
+            expect(Query.point(engine, { x: -500, y: 50 })).toEqual([bodies[19]]);
+        });
+
+        test(`${broadphase} finds the same bodies as a full scan`, () => {
+            const { engine, bodies } = createWorld(broadphase);
+            const bounds = { min: { x: 120, y: 120 }, max: { x: 280, y: 280 } };
+
+            bodies.forEach((body, i) => Body.translate(body, { x: (i % 3) * 40 - 40, y: (i % 4) * 30 - 45 }));
+            Engine.update(engine, 1000 / 60);
+
+            expect(Query.region(engine, bounds).sort((a, b) => a.id - b.id)).toEqual(Query.region(bodies, bounds));
+        });
+
+        test(`${broadphase} does not visit every body`, () => {
+            const engine = Engine.create({ broadphase: { controller: Matter[broadphase] } });
+            const bodies = [];
+            let visited = 0;
+
+            engine.world.gravity.y = 0;
+
+            for (let i = 0; i < 400; i += 1) {
+                bodies.push(Bodies.rectangle(25 + (i % 20) * 50, 25 + Math.floor(i / 20) * 50, 20, 20));
+            }
+
+            World.add(engine.world, bodies);
+            Engine.update(engine, 1000 / 60);
+
+            const update = jest.spyOn(engine.broadphase.controller, 'update');
+
+            // count the bodies that the query reads the bounds of
+            bodies.forEach(body => {
+                const bounds = body.bounds;
+
+                Object.defineProperty(body, 'bounds', {
+                    get: () => {
+                        visited += 1;
+                        return bounds;
+                    }
+                });
+            });
+
+            expect(Query.point(engine, { x: 525, y: 525 })).toEqual([bodies[210]]);
+            expect(visited).toBeLessThan(bodies.length / 10);
+            expect(update).not.toHaveBeenCalled();
+
+            update.mockRestore();
+        });
+    });
+
+    test('Bodies added since the last update are found', () => {
+        const { engine } = createWorld('Grid');
+        const body = Bodies.circle(700, 700, 20);
+
+        World.add(engine.world, body);
+
+        expect(Query.point(engine, { x: 700, y: 700 })).toEqual([body]);
+    });
+});
+
+describe('Query.raycast', () => {
+    const createBodies = () => [
+        Bodies.rectangle(300, 100, 40, 40),
+        Bodies.circle(200, 100, 20),
+        Bodies.rectangle(400, 100, 40, 40, { collisionFilter: { category: 0x0002 } }),
+        Bodies.rectangle(200, 300, 40, 40)
+    ];
+
+    test('Finds all hits sorted by fraction', () => {
+        const bodies = createBodies();
+        const hits = Query.raycast(bodies, { x: 0, y: 100 }, { x: 500, y: 100 });
+
+        expect(hits.map(hit => hit.body)).toEqual([bodies[1], bodies[0], bodies[2]]);
+
+        hits.forEach((hit, i) => {
+            expect(hit.point.x).toBeCloseTo([180, 280, 380][i], 10);
+            expect(hit.fraction).toBeCloseTo([0.36, 0.56, 0.76][i], 10);
+            expect(hit.normal.x).toBeCloseTo(-1, 10);
+            expect(hit.normal.y).toBeCloseTo(0, 10);
+        });
+    });
+
+    test('Finds only the closest hit', () => {
+        const bodies = createBodies();
+        const hits = Query.raycast(bodies, { x: 500, y: 100 }, { x: 0, y: 100 }, { mode: 'closest' });
+
+        expect(hits.length).toBe(1);
+        expect(hits[0].body).toBe(bodies[2]);
+        expect(hits[0].point.x).toBeCloseTo(420, 10);
+        expect(hits[0].normal.x).toBeCloseTo(1, 10);
+    });
+
+    test('Finds any one hit', () => {
+        const bodies = createBodies();
+
+        expect(Query.raycast(bodies, { x: 0, y: 100 }, { x: 500, y: 100 }, { mode: 'any' }).length).toBe(1);
+        expect(Query.raycast(bodies, { x: 0, y: 200 }, { x: 500, y: 200 }, { mode: 'any' })).toEqual([]);
+    });
+
+    test('Only hits bodies that can collide with the filter', () => {
+        const bodies = createBodies();
+        const hits = Query.raycast(bodies, { x: 0, y: 100 }, { x: 500, y: 100 }, {
+            collisionFilter: { group: 0, category: 0x0001, mask: 0x0001 }
+        });
+
+        expect(hits.map(hit => hit.body)).toEqual([bodies[1], bodies[0]]);
+    });
+
+    test('Hits circles on their true radius', () => {
+        const circle = Bodies.circle(200, 100, 20);
+        const offset = 20 * Math.SQRT1_2;
+        const hits = Query.raycast([circle], { x: 200 - offset, y: 0 }, { x: 200 - offset, y: 200 });
+
+        expect(hits.length).toBe(1);
+        expect(hits[0].point.y).toBeCloseTo(100 - offset, 10);
+        expect(hits[0].normal.x).toBeCloseTo(-Math.SQRT1_2, 10);
+        expect(hits[0].normal.y).toBeCloseTo(-Math.SQRT1_2, 10);
+
+        // near the top of the circle, between the vertices of its polygon hull
+        const top = Query.raycast([circle], { x: 0, y: 80.5 }, { x: 400, y: 80.5 });
+
+        expect(top.length).toBe(1);
+        expect(top[0].point.x).toBeCloseTo(200 - Math.sqrt(20 * 20 - 19.5 * 19.5), 10);
+        expect(Query.raycast([circle], { x: 0, y: 79.5 }, { x: 400, y: 79.5 })).toEqual([]);
+    });
+
+    test('Reports the part of compound bodies that is hit first', () => {
+        const partA = Bodies.rectangle(200, 100, 40, 40);
+        const partB = Bodies.circle(250, 100, 20);
+        const compound = Body.create({ parts: [partA, partB] });
+        const hits = Query.raycast([compound], { x: 500, y: 100 }, { x: 0, y: 100 });
+
+        expect(hits.length).toBe(1);
+        expect(hits[0].body).toBe(compound);
+        expect(hits[0].part).toBe(partB);
+        expect(hits[0].point.x).toBeCloseTo(270, 10);
+    });
+
+    test('Ignores bodies that contain the start point', () => {
+        const bodies = createBodies();
+        const hits = Query.raycast(bodies, { x: 300, y: 100 }, { x: 500, y: 100 });
+
+        expect(hits.map(hit => hit.body)).toEqual([bodies[2]]);
+    });
+});
+
+describe('Query.shapeCast', () => {
+    const ground = () => Bodies.rectangle(400, 500, 800, 40, { isStatic: true });
+
+    // the cast agrees with collision detection just before and after the impact
+    const expectTouching = (body, impact, path, other) => {
+        const direction = Vector.normalise(Vector.sub(path.end, path.start));
+
+        Body.setPosition(body, Vector.sub(impact.position, Vector.mult(direction, 0.01)));
+        expect(Matter.SAT.collides(body, other.parts.length > 1 ? impact.part : other).collided).toBe(false);
+
+        Body.setPosition(body, Vector.add(impact.position, Vector.mult(direction, 0.01)));
+        expect(Matter.SAT.collides(body, other.parts.length > 1 ? impact.part : other).collided).toBe(true);
+    };
+
+    test('Finds the first impact of a polygon', () => {
+        const box = Bodies.rectangle(0, 0, 40, 40);
+        const bodies = [ground(), Bodies.rectangle(200, 400, 40, 40, { isStatic: true })];
+        const impact = Query.shapeCast(box, { x: 100, y: 100 }, { x: 100, y: 700 }, bodies);
+
+        expect(impact.body).toBe(bodies[0]);
+        expect(impact.fraction).toBeCloseTo(360 / 600, 10);
+        expect(impact.position.y).toBeCloseTo(460, 10);
+        expect(impact.normal.y).toBeCloseTo(-1, 10);
+        expect(impact.point.y).toBeCloseTo(480, 10);
+
+        // the body itself is not moved
+        expect(box.position).toEqual({ x: 0, y: 0 });
+    });
+
+    const circlePaths = [
+        { start: { x: 100, y: 100 }, end: { x: 100, y: 700 } },
+        { start: { x: -100, y: 300 }, end: { x: 300, y: 700 } }
+    ];
+
+    circlePaths.forEach((path, i) => {
+        test(`Sweeps circles using their true radius (path ${i})`, () => {
+            const circle = Bodies.circle(0, 0, 20);
+            const other = ground();
+            const impact = Query.shapeCast(circle, path.start, path.end, [other]);
+
+            expect(impact.body).toBe(other);
+            expect(impact.normal.y).toBeCloseTo(-1, 10);
+            expect(impact.position.y).toBeCloseTo(460, 10);
+            expect(impact.point.y).toBeCloseTo(480, 10);
+            expect(impact.point.x).toBeCloseTo(impact.position.x, 10);
+
+            expectTouching(circle, impact, path, other);
+        });
+    });
+
+    test('Sweeps circles around polygon corners', () => {
+        const circle = Bodies.circle(0, 0, 20);
+        const box = Bodies.rectangle(400, 400, 100, 100, { isStatic: true });
+        const path = { start: { x: 250, y: 250 }, end: { x: 400, y: 400 } };
+        const impact = Query.shapeCast(circle, path.start, path.end, [box]);
+
+        expect(impact.point).toEqual({ x: 350, y: 350 });
+        expect(impact.position.x).toBeCloseTo(350 - 20 * Math.SQRT1_2, 10);
+        expect(impact.position.y).toBeCloseTo(350 - 20 * Math.SQRT1_2, 10);
+        expect(impact.normal.x).toBeCloseTo(-Math.SQRT1_2, 10);
+        expect(impact.normal.y).toBeCloseTo(-Math.SQRT1_2, 10);
+
+        expectTouching(circle, impact, path, box);
+    });
+
+    test('Sweeps circles against circles', () => {
+        const circle = Bodies.circle(0, 0, 20);
+        const other = Bodies.circle(400, 300, 30);
+        const path = { start: { x: 100, y: 310 }, end: { x: 500, y: 310 } };
+        const impact = Query.shapeCast(circle, path.start, path.end, [other]);
+
+        expect(Vector.magnitude(Vector.sub(impact.position, other.position))).toBeCloseTo(50, 10);
+        expect(Vector.magnitude(Vector.sub(impact.point, other.position))).toBeCloseTo(30, 10);
+        expect(impact.normal.x).toBeLessThan(0);
+
+        expectTouching(circle, impact, path, other);
+    });
+
+    test('Sweeps polygons against circles', () => {
+        const box = Bodies.rectangle(0, 0, 40, 40);
+        const other = Bodies.circle(400, 300, 30);
+        const path = { start: { x: 100, y: 310 }, end: { x: 500, y: 310 } };
+        const impact = Query.shapeCast(box, path.start, path.end, [other]);
+
+        // the face of the box meets the side of the circle
+        expect(impact.position.x).toBeCloseTo(350, 10);
+        expect(impact.point.x).toBeCloseTo(370, 10);
+        expect(impact.point.y).toBeCloseTo(300, 10);
+        expect(impact.normal.x).toBeCloseTo(-1, 10);
+
+        expectTouching(box, impact, path, other);
+    });
+
+    test('Ignores clear paths, filtered bodies and bodies overlapping at the start', () => {
+        const circle = Bodies.circle(0, 0, 20, { collisionFilter: { mask: 0x0001 } });
+        const filtered = Bodies.rectangle(100, 300, 100, 20, { collisionFilter: { category: 0x0002 } });
+        const overlapping = Bodies.rectangle(100, 100, 100, 20);
+
+        expect(Query.shapeCast(circle, { x: 100, y: 100 }, { x: 100, y: 400 }, [filtered, overlapping])).toBe(null);
+        expect(Query.shapeCast(circle, { x: 300, y: 100 }, { x: 300, y: 400 }, [ground()])).toBe(null);
+    });
+});
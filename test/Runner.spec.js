@@ -0,0 +1,144 @@
+/* eslint-env es6 */
+"use strict";
+
+const Matter = require('../src/module/main');
+
+const { Engine, Runner, Render, World, Bodies, Body } = Matter;
+
+describe('Runner accumulated timing', () => {
+    const createRunner = options => {
+        const engine = Engine.create();
+        const runner = Runner.create(Object.assign({ isAccumulated: true }, options));
+        const updates = [];
+
+        Matter.Events.on(runner, 'afterUpdate', () => updates.push(engine.timing.timestamp));
+
+        return { engine, runner, updates };
+    };
+
+    test('Updates by the fixed delta for the time between ticks', () => {
+        const { engine, runner, updates } = createRunner();
+
+        // a 144Hz display
+        for (let i = 0; i < 144; i += 1) {
+            Runner.tick(runner, engine, i * 1000 / 144);
+        }
+
+        expect(updates.length).toBe(60);
+        expect(engine.timing.timestamp).toBeCloseTo(1000, 6);
+        expect(runner.alpha).toBeGreaterThanOrEqual(0);
+        expect(runner.alpha).toBeLessThan(1);
+        expect(runner.alpha).toBeCloseTo(runner.accumulator / runner.delta, 10);
+    });
+
+    test('Updates at most max steps per tick', () => {
+        const { engine, runner, updates } = createRunner({ maxSteps: 3 });
+
+        Runner.tick(runner, engine, 0);
+        Runner.tick(runner, engine, 1000);
+
+        expect(updates.length).toBe(4);
+        expect(runner.accumulator).toBeLessThan(runner.delta);
+
+        Runner.tick(runner, engine, 1000 + runner.delta);
+
+        expect(updates.length).toBe(5);
+    });
+
+    test('Gives the same results at any tick rate', () => {
+        const trajectory = rate => {
+            const { engine, runner } = createRunner();
+            const box = Bodies.rectangle(400, 100, 40, 40);
+
+            World.add(engine.world, [box, Bodies.rectangle(400, 600, 800, 50, { isStatic: true })]);
+
+            for (let i = 0; i < rate; i += 1) {
+                Runner.tick(runner, engine, i * 1000 / rate);
+            }
+
+            return { x: box.position.x, y: box.position.y, angle: box.angle };
+        };
+
+        expect(trajectory(75)).toEqual(trajectory(144));
+    });
+});
+
+describe('Render interpolation', () => {
+    const createBody = () => {
+        const body = Body.create({
+            parts: [Bodies.rectangle(100, 100, 40, 40), Bodies.circle(140, 100, 20)]
+        });
+
+        Body.setVelocity(body, { x: 10, y: -4 });
+        Body.setAngularVelocity(body, 0.2);
+        Body.update(body, 1000 / 60, 1, 1);
+
+        return body;
+    };
+
+    test('Draws bodies between their previous and current positions without changing them', () => {
+        const render = { interpolated: {} };
+        const body = createBody();
+        const position = Matter.Vector.clone(body.position);
+        const angle = body.angle;
+        const vertices = body.parts.map(part => part.vertices.map(Matter.Vector.clone));
+        const [copy] = Render._interpolateBodies(render, [body], 0.25);
+
+        expect(copy).not.toBe(body);
+        expect(copy.id).toBe(body.id);
+        expect(copy.position.x).toBeCloseTo(body.positionPrev.x + (position.x - body.positionPrev.x) * 0.25, 10);
+        expect(copy.position.y).toBeCloseTo(body.positionPrev.y + (position.y - body.positionPrev.y) * 0.25, 10);
+        expect(copy.angle).toBeCloseTo(body.anglePrev + (angle - body.anglePrev) * 0.25, 10);
+        expect(Matter.Vertices.centre(copy.parts[2].vertices).x).toBeCloseTo(copy.parts[2].position.x, 6);
+        expect(copy.parts[2].circleRadius).toBe(20);
+
+        expect(body.position).toEqual(position);
+        expect(body.angle).toBe(angle);
+        expect(body.parts.map(part => part.vertices.map(Matter.Vector.clone))).toEqual(vertices);
+    });
+
+    test('Draws constraints attached to the interpolated bodies', () => {
+        const render = { interpolated: {} };
+        const body = createBody();
+        const constraint = Matter.Constraint.create({ pointA: { x: 0, y: 0 }, bodyB: body, pointB: { x: 20, y: 0 } });
+        const points = [];
+        const context = {
+            beginPath: () => {},
+            moveTo: (x, y) => points.push({ x, y }),
+            lineTo: (x, y) => points.push({ x, y }),
+            arc: () => {},
+            closePath: () => {},
+            stroke: () => {},
+            fill: () => {}
+        };
+
+        const [copy] = Render._interpolateBodies(render, [body], 0.25);
+
+        Render.constraints([constraint], context, render.interpolated);
+
+        // the point is on the body's first part, which moves and turns with the copy
+        const end = Matter.Vector.add(copy.position, Matter.Vector.rotate(constraint.pointB, copy.angle - body.angle));
+
+        expect(points[0]).toEqual({ x: 0, y: 0 });
+        expect(points[1].x).toBeCloseTo(end.x, 10);
+        expect(points[1].y).toBeCloseTo(end.y, 10);
+        expect(points[1].x).not.toBeCloseTo(body.position.x + constraint.pointB.x, 1);
+    });
+
+    test('Reuses buffers between frames', () => {
+        const render = { interpolated: {} };
+        const body = createBody();
+        const ground = Bodies.rectangle(400, 600, 800, 40, { isStatic: true });
+        const [copy, drawn] = Render._interpolateBodies(render, [body, ground], 0.5);
+        const [next] = Render._interpolateBodies(render, [body, ground], 0.75);
+
+        expect(drawn).toBe(ground);
+        expect(next).toBe(copy);
+        expect(next.parts[1].vertices).toBe(copy.parts[1].vertices);
+        expect(Object.keys(render.interpolated)).toEqual([String(body.id)]);
+
+        Render._interpolateBodies(render, [ground], 0.5);
+
+        expect(render.interpolated).toEqual({});
+    });
+});
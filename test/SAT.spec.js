@@ -0,0 +1,102 @@
+/* eslint-env es6 */
+"use strict";
+
+const Matter = require('../src/module/main');
+
+const { Engine, World, Bodies, Body, SAT, Vector } = Matter;
+
+const expectVector = (vector, expected, precision) => {
+    expect(vector.x).toBeCloseTo(expected.x, precision);
+    expect(vector.y).toBeCloseTo(expected.y, precision);
+};
+
+describe('SAT circles', () => {
+    test('Circles collide using their true radius', () => {
+        const circleA = Bodies.circle(100, 100, 20);
+        const circleB = Bodies.circle(130, 136, 30);
+        const collision = SAT.collides(circleA, circleB);
+
+        expect(collision.collided).toBe(true);
+        expect(collision.depth).toBeCloseTo(20 + 30 - Math.sqrt(30 * 30 + 36 * 36), 10);
+
+        Body.setPosition(circleB, { x: 130, y: 140.1 });
+        expect(SAT.collides(circleA, circleB).collided).toBe(false);
+    });
+
+    test('Circle contacts have an exact normal and support point', () => {
+        const circleA = Bodies.circle(100, 100, 20);
+        const circleB = Bodies.circle(136, 148, 45);
+        const collision = SAT.collides(circleA, circleB);
+        const direction = { x: -0.6, y: -0.8 };
+
+        expect(collision.depth).toBeCloseTo(5, 10);
+
+        // the normal points from bodyB to bodyA
+        expectVector(collision.normal, Vector.mult(direction, collision.bodyA === circleA ? 1 : -1), 10);
+        expect(collision.supports.length).toBe(1);
+
+        // midway through the overlap along the line between the centres
+        expectVector(collision.supports[0], Vector.add(circleA.position, Vector.mult(direction, -17.5)), 10);
+    });
+
+    test('Circles collide with polygon faces', () => {
+        const box = Bodies.rectangle(100, 100, 100, 40);
+        const circle = Bodies.circle(110, 65, 20);
+        const collision = SAT.collides(box, circle);
+
+        expect(collision.collided).toBe(true);
+        expect(collision.depth).toBeCloseTo(5, 10);
+        expectVector(collision.normal, { x: 0, y: collision.bodyA === circle ? -1 : 1 }, 10);
+        expectVector(collision.supports[0], { x: 110, y: 82.5 }, 10);
+    });
+
+    test('Circles collide with polygon corners', () => {
+        const box = Bodies.rectangle(100, 100, 100, 40);
+        const circle = Bodies.circle(159, 68, 20);
+        const collision = SAT.collides(box, circle);
+        const direction = { x: 0.6, y: -0.8 };
+
+        expect(collision.collided).toBe(true);
+        expect(collision.depth).toBeCloseTo(5, 10);
+        expectVector(collision.normal, Vector.mult(direction, collision.bodyA === circle ? 1 : -1), 10);
+        expectVector(collision.supports[0], Vector.add({ x: 150, y: 80 }, Vector.mult(direction, -2.5)), 10);
+
+        Body.setPosition(circle, { x: 164, y: 62 });
+        expect(SAT.collides(box, circle).collided).toBe(false);
+    });
+
+    test('Circles inside polygons are pushed out through the nearest face', () => {
+        const box = Bodies.rectangle(100, 100, 100, 40);
+        const circle = Bodies.circle(100, 115, 10);
+        const collision = SAT.collides(circle, box);
+
+        expect(collision.collided).toBe(true);
+        expect(collision.depth).toBeCloseTo(15, 10);
+        expectVector(collision.normal, { x: 0, y: collision.bodyA === circle ? 1 : -1 }, 10);
+    });
+
+    test('Circles roll smoothly on flat ground', () => {
+        const engine = Engine.create();
+        const ball = Bodies.circle(100, 550, 30, { frictionAir: 0 });
+        const heights = [];
+
+        World.add(engine.world, [ball, Bodies.rectangle(1000, 600, 2000, 40, { isStatic: true })]);
+
+        for (let i = 0; i < 60; i += 1) {
+            Engine.update(engine, 1000 / 60);
+        }
+
+        Body.setVelocity(ball, { x: 5, y: 0 });
+        Body.setAngularVelocity(ball, 5 / 30);
+
+        for (let i = 0; i < 120; i += 1) {
+            Engine.update(engine, 1000 / 60);
+            heights.push(ball.position.y);
+        }
+
+        // a polygon would rise and fall as it rolls over each of its corners
+        expect(Math.max(...heights) - Math.min(...heights)).toBeLessThan(0.1);
+        expect(ball.position.x).toBeGreaterThan(600);
+        expect(ball.angularVelocity * 30).toBeCloseTo(ball.velocity.x, 1);
+    });
+});
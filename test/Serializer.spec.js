@@ -0,0 +1,76 @@
+/* eslint-env es6 */
+"use strict";
+
+const { engineCapture } = require('./TestTools');
+const Matter = require('../src/module/main');
+
+const { Engine, World, Bodies, Body, Composites, Constraint, Serializer } = Matter;
+
+const broadphases = ['Grid', 'Tree', 'SAP'];
+
+const createScene = broadphase => {
+    const engine = Engine.create({ enableSleeping: true, broadphase: { controller: Matter[broadphase] } });
+
+    const stack = Composites.stack(100, 100, 8, 4, 0, 0, (x, y, column) =>
+        column % 2 === 0 ? Bodies.rectangle(x, y, 40, 30) : Bodies.circle(x, y, 16)
+    );
+
+    const compound = Body.create({
+        parts: [Bodies.rectangle(500, 50, 100, 20), Bodies.rectangle(500, 50, 20, 100)]
+    });
+
+    const chain = Composites.stack(200, 0, 6, 1, 10, 10, (x, y) => Bodies.rectangle(x, y, 40, 15));
+
+    Composites.chain(chain, 0.5, 0, -0.5, 0, { stiffness: 0.8 });
+
+    World.add(engine.world, [
+        stack,
+        compound,
+        chain,
+        Constraint.create({ pointA: { x: 200, y: 0 }, bodyB: chain.bodies[0], pointB: { x: -20, y: 0 } }),
+        Bodies.rectangle(400, 600, 800, 50, { isStatic: true }),
+        Bodies.rectangle(600, 400, 300, 20, { isStatic: true, angle: -0.3 })
+    ]);
+
+    return engine;
+};
+
+const update = (engine, count) => {
+    for (let i = 0; i < count; i += 1) {
+        Engine.update(engine, 1000 / 60);
+    }
+};
+
+describe('Serializer', () => {
+    broadphases.forEach(broadphase => {
+        test(`${broadphase} deserialized engine continues identically`, () => {
+            const engine = createScene(broadphase);
+
+            update(engine, 90);
+
+            const data = JSON.parse(JSON.stringify(Serializer.serialize(engine)));
+            const restored = Serializer.deserialize(data);
+
+            expect(restored.broadphase.controller).toBe(Matter[broadphase]);
+            expect(restored.pairs.list.length).toBe(engine.pairs.list.length);
+            expect(engineCapture(restored)).toEqual(engineCapture(engine));
+
+            update(engine, 90);
+            update(restored, 90);
+
+            expect(engineCapture(restored)).toEqual(engineCapture(engine));
+        });
+    });
+
+    test('Serialized data restores static bodies and world bounds', () => {
+        const engine = createScene('Grid');
+        const restored = Serializer.deserialize(JSON.parse(JSON.stringify(Serializer.serialize(engine))));
+        const ground = restored.world.bodies[restored.world.bodies.length - 2];
+
+        expect(ground.isStatic).toBe(true);
+        expect(ground.mass).toBe(Infinity);
+        expect(restored.world.bounds.max.x).toBe(Infinity);
+        expect(ground.parent).toBe(ground);
+        expect(ground.vertices[0].body).toBe(ground);
+    });
+});
@@ -0,0 +1,144 @@
+/* eslint-env es6 */
+"use strict";
+
+const Matter = require('../src/module/main');
+
+const { Engine, World, Bodies, Track } = Matter;
+
+const update = (engine, count) => {
+    for (let i = 0; i < count; i += 1) {
+        Engine.update(engine, 1000 / 60);
+    }
+};
+
+const createPlatform = options => {
+    const engine = Engine.create();
+    const platform = Bodies.rectangle(100, 400, 200, 20);
+    const box = Bodies.rectangle(100, 370, 40, 40);
+
+    World.add(engine.world, [platform, box]);
+
+    const track = Track.create(engine, Object.assign({
+        body: platform,
+        keyframes: [{ x: 100, y: 400 }, { x: 300, y: 400 }, { x: 300, y: 200 }],
+        duration: 2000
+    }, options));
+
+    return { engine, platform, box, track };
+};
+
+describe('Track', () => {
+    test('Moves a kinematic body through waypoints at a constant speed', () => {
+        const { engine, platform, track } = createPlatform();
+
+        expect(platform.isKinematic).toBe(true);
+        expect(track.keyframes.map(keyframe => keyframe.time)).toEqual([0, 1000, 2000]);
+
+        update(engine, 30);
+
+        expect(platform.position.x).toBeCloseTo(200, 6);
+        expect(platform.position.y).toBeCloseTo(400, 6);
+        expect(platform.velocity.x).toBeCloseTo(200 / 60, 6);
+
+        update(engine, 60);
+
+        expect(platform.position.x).toBeCloseTo(300, 6);
+        expect(platform.position.y).toBeCloseTo(300, 6);
+        expect(platform.velocity.y).toBeCloseTo(-200 / 60, 6);
+    });
+
+    test('Carries riding bodies along', () => {
+        const { engine, box } = createPlatform({ mode: 'once' });
+
+        update(engine, 60);
+
+        expect(box.position.x).toBeGreaterThan(250);
+        expect(box.position.y).toBeCloseTo(370, 0);
+
+        update(engine, 90);
+
+        expect(box.position.x).toBeGreaterThan(250);
+        expect(box.position.y).toBeCloseTo(170, 0);
+    });
+
+    test('Stops, loops or ping-pongs at the last keyframe', () => {
+        const once = createPlatform({ mode: 'once' });
+        const loop = createPlatform({ mode: 'loop' });
+        const pingPong = createPlatform({ mode: 'pingPong' });
+
+        [once, loop, pingPong].forEach(({ engine }) => update(engine, 150));
+
+        expect(once.platform.position).toEqual({ x: 300, y: 200 });
+        expect(once.platform.velocity).toEqual({ x: 0, y: 0 });
+        expect(loop.platform.position.x).toBeCloseTo(200, 6);
+        expect(loop.platform.position.y).toBeCloseTo(400, 6);
+        expect(pingPong.platform.position.x).toBeCloseTo(300, 6);
+        expect(pingPong.platform.position.y).toBeCloseTo(300, 6);
+        expect(pingPong.platform.velocity.y).toBeCloseTo(200 / 60, 6);
+    });
+
+    test('Follows keyframe times, angles and easing', () => {
+        const { engine, platform, track } = createPlatform({
+            keyframes: [{ x: 100, y: 400, time: 0 }, { x: 100, y: 200, angle: 1, time: 500 }],
+            easing: 'easeInOut',
+            mode: 'once'
+        });
+
+        expect(track.duration).toBe(500);
+
+        update(engine, 6);
+
+        expect(platform.position.y).toBeCloseTo(400 - 200 * Track.easing.easeInOut(0.2), 6);
+        expect(Track.transformAt(track, 250)).toEqual({ x: 100, y: 300, angle: 0.5 });
+
+        update(engine, 24);
+
+        expect(platform.position.y).toBeCloseTo(200, 6);
+        expect(platform.angle).toBeCloseTo(1, 6);
+    });
+
+    test('Follows the track when the delta changes', () => {
+        const { engine, platform, track } = createPlatform();
+
+        update(engine, 10);
+
+        [1000 / 30, 1000 / 120, 1000 / 60].forEach(delta => {
+            Engine.update(engine, delta);
+
+            const transform = Track.transformAt(track, engine.timing.timestamp);
+
+            expect(platform.position.x).toBeCloseTo(transform.x, 6);
+            expect(platform.position.y).toBeCloseTo(transform.y, 6);
+        });
+    });
+
+    test('Warns when created without a body or keyframes, and ignores updates', () => {
+        const warn = jest.spyOn(Matter.Common, 'warn').mockImplementation(() => {});
+        const engine = Engine.create();
+        const platform = Bodies.rectangle(100, 400, 200, 20);
+
+        World.add(engine.world, platform);
+        Track.create(engine, { keyframes: [{ x: 100, y: 400 }, { x: 300, y: 400 }] });
+        Track.create(engine, { body: platform });
+
+        expect(warn).toHaveBeenCalledTimes(2);
+        expect(warn.mock.calls[0][0]).toMatch('options.body');
+        expect(warn.mock.calls[1][0]).toMatch('options.keyframes');
+
+        update(engine, 10);
+
+        expect(platform.position).toEqual({ x: 100, y: 400 });
+
+        warn.mockRestore();
+    });
+
+    test('Stops moving the body when removed', () => {
+        const { engine, platform, track } = createPlatform();
+
+        update(engine, 30);
+        Track.remove(engine, track);
+        update(engine, 30);
+
+        expect(platform.position.x).toBeCloseTo(300, 6);
+    });
+});